@@ -4,12 +4,27 @@
  */
 
 // Import modules
-import { loadFromLocalStorage, saveToLocalStorage, updateAllTabPatientDisplays, patientInfo, patientInfoChanged, patientNameChanged, patientPriorityChanged, addPatient, switchPatient, deletePatient, renderPatientList, updateCurrentPatientDisplay, currentPatientId, patients } from './patient.js';
+import { loadFromLocalStorage, saveToLocalStorage, updateAllTabPatientDisplays, patientInfo, patientInfoChanged, patientNameChanged, patientPriorityChanged, addPatient, switchPatient, deletePatient, renderPatientList, renderPriorityHistory, updateCurrentPatientDisplay, currentPatientId, patients } from './patient.js';
 import { renderVitalsLog, submitVitals, clearVitalsInputs, renderVitalsChart, showVitalInfo, updateVitalIndicator, loadFromLocalStorage as loadVitals } from './vitals.js';
-import { renderGcsLog, submitGCS, clearGCSInputs, loadFromLocalStorage as loadGcs } from './gcs.js';
+import { renderGcsLog, submitGCS, clearGCSInputs, renderGcsOptions, syncGcsVariant, loadFromLocalStorage as loadGcs } from './gcs.js';
+import { renderNeuroLog, submitNeuro, clearNeuroInputs, loadFromLocalStorage as loadNeuro } from './neuro.js';
+import { renderStrokeStatus, submitStroke, clearStrokeInputs, loadFromLocalStorage as loadStroke } from './stroke.js';
+import { renderBodyMap, selectInjuryRegion, addInjury, clearInjuryInputs, loadFromLocalStorage as loadInjuries } from './bodymap.js';
+import { renderBurns, toggleBurnRegion, burnDetailsChanged, clearBurns, loadFromLocalStorage as loadBurns } from './burns.js';
+import { renderMechanism, mechanismChanged, refreshTraumaTriage, loadFromLocalStorage as loadMechanism } from './mechanism.js';
+import { renderMilestones, tapMilestone, loadFromLocalStorage as loadMilestones } from './milestones.js';
+import { renderDisposition, dispositionChanged, loadFromLocalStorage as loadDisposition } from './disposition.js';
+import { renderTreatmentLog, renderTreatmentPicks, addMedication, addProcedure, pickDrug, pickProcedure, updateRepeatDoseHint, loadFromLocalStorage as loadTreatments } from './treatments.js';
 import { renderNotesLog, addNote, clearNoteInput, setupAudioRecorder, loadFromLocalStorage as loadNotes } from './notes.js';
 import { renderCprLog, renderCprEvents, renderCprTimeline, startCPR, stopCPR, addCprEvent, togglePauseCPR, loadFromLocalStorage as loadCpr } from './cpr.js';
-import { generateResults, showResults, closeResults, copyResults, downloadReport } from './results.js';
+import { sceneInfoChanged, closeScene, renderSceneSettings, showSceneArchive, closeSceneArchive, viewArchivedScene, loadFromLocalStorage as loadScene } from './scene.js';
+import { startTriage, triageAnswer, cancelTriage } from './triage.js';
+import { renderDashboard } from './dashboard.js';
+import { startReassessmentTimers, enableReassessNotifications } from './reassess.js';
+import { renderTrendAlerts, renderTrendSettings, trendSettingsChanged } from './trends.js';
+import { toggleChartSeries, showChartPoint } from './trendchart.js';
+import { editLogEntry, saveLogEntryEdit, voidLogEntry, closeEntryEditor } from './corrections.js';
+import { generateResults, showResults, closeResults, copyResults, downloadReport, showArchivedReport } from './results.js';
 import { q } from './utils.js';
 
 // Global variables
@@ -45,6 +60,7 @@ function openTab(evt, tabName) {
 
     // Special rendering for vitals
     if (tabName === 'vitals') renderVitalsChart();
+    if (tabName === 'dashboard') renderDashboard();
 }
 
 /**
@@ -104,21 +120,44 @@ function dismissUpdate() {
  */
 function initApp() {
     // Load data from localStorage
+    loadScene();
     loadFromLocalStorage();
     // Module-specific data
     loadVitals();
     loadGcs();
+    loadNeuro();
+    loadStroke();
+    loadInjuries();
+    loadBurns();
+    loadMechanism();
+    loadMilestones();
+    loadDisposition();
+    loadTreatments();
     loadNotes();
     loadCpr();
 
     // Render all initial data
     renderVitalsLog();
     renderGcsLog();
+    syncGcsVariant();
+    renderNeuroLog();
+    renderStrokeStatus();
+    renderBodyMap();
+    renderBurns();
+    renderMechanism();
+    renderMilestones();
+    renderDisposition();
+    renderTreatmentPicks();
+    renderTreatmentLog();
     renderNotesLog();
     renderCprLog();
-    // No need to call renderCprEvents or renderCprTimeline here unless you have data to show on load
+    renderCprEvents();
     renderVitalsChart();
     renderPatientList();
+    renderPriorityHistory();
+    renderSceneSettings();
+    renderTrendSettings();
+    renderTrendAlerts();
     
     // Update UI displays
     updateAllTabPatientDisplays();
@@ -146,6 +185,13 @@ function initApp() {
 
     // Ensure a sensible tab is opened on load
     openTab(null, 'patient-info');
+
+    // Keep the dashboard's "time since last assessment" current
+    setInterval(renderDashboard, 30000);
+    // Running intervals and the P1 scene time warning
+    setInterval(renderMilestones, 30000);
+    // Per-priority reassessment countdowns and overdue alerts
+    startReassessmentTimers();
 }
 
 // =========================================================================
@@ -167,6 +213,29 @@ window.dismissUpdate = dismissUpdate;
 // Module-specific functions used in HTML
 window.submitVitals = submitVitals; 
 window.submitGCS = submitGCS; 
+window.renderGcsOptions = renderGcsOptions;
+window.syncGcsVariant = syncGcsVariant;
+window.submitNeuro = submitNeuro;
+window.clearNeuroInputs = clearNeuroInputs;
+window.submitStroke = submitStroke;
+window.clearStrokeInputs = clearStrokeInputs;
+window.selectInjuryRegion = selectInjuryRegion;
+window.addInjury = addInjury;
+window.clearInjuryInputs = clearInjuryInputs;
+window.toggleBurnRegion = toggleBurnRegion;
+window.burnDetailsChanged = burnDetailsChanged;
+window.clearBurns = clearBurns;
+window.renderBurns = renderBurns;
+window.mechanismChanged = mechanismChanged;
+window.refreshTraumaTriage = refreshTraumaTriage;
+window.tapMilestone = tapMilestone;
+window.renderMilestones = renderMilestones;
+window.dispositionChanged = dispositionChanged;
+window.addMedication = addMedication;
+window.addProcedure = addProcedure;
+window.pickDrug = pickDrug;
+window.pickProcedure = pickProcedure;
+window.updateRepeatDoseHint = updateRepeatDoseHint;
 window.addNote = addNote; 
 window.startCPR = startCPR; 
 window.stopCPR = stopCPR; 
@@ -176,10 +245,29 @@ window.addPatient = addPatient;
 window.switchPatient = switchPatient; 
 window.deletePatient = deletePatient; 
 window.showVitalInfo = showVitalInfo; 
+window.renderVitalsLog = renderVitalsLog;
+window.toggleChartSeries = toggleChartSeries;
+window.showChartPoint = showChartPoint;
+window.editLogEntry = editLogEntry;
+window.saveLogEntryEdit = saveLogEntryEdit;
+window.voidLogEntry = voidLogEntry;
+window.closeEntryEditor = closeEntryEditor;
 window.updateVitalIndicator = updateVitalIndicator; 
 window.patientInfoChanged = patientInfoChanged; 
 window.patientNameChanged = patientNameChanged; 
 window.patientPriorityChanged = patientPriorityChanged; 
+window.sceneInfoChanged = sceneInfoChanged;
+window.closeScene = closeScene;
+window.startNewScene = closeScene;
+window.showSceneArchive = showSceneArchive;
+window.closeSceneArchive = closeSceneArchive;
+window.viewArchivedScene = viewArchivedScene;
+window.showArchivedReport = showArchivedReport;
+window.enableReassessNotifications = enableReassessNotifications;
+window.trendSettingsChanged = trendSettingsChanged;
+window.startTriage = startTriage;
+window.triageAnswer = triageAnswer;
+window.cancelTriage = cancelTriage;
 // CPR Modal functions (assuming they are in one of the imported modules or need defining)
 // Defining placeholders for modal functions if they are missing from your modules
 window.closeVitalInfoModal = () => { const m = q('vital-info-modal'); if (m) m.style.display = 'none'; };
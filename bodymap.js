@@ -0,0 +1,299 @@
+/**
+ * Body Map Module
+ * Front/back body diagram for marking injuries (DCAP-BTLS) per patient
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { registerCorrectableLog, renderCorrectionControls, activeEntries } from './corrections.js';
+import { renderFieldMessages, setFormError } from './validation.js';
+import { refreshTraumaTriage } from './mechanism.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, entryTimeLabel, sortByObserved } from './utils.js';
+
+export const DCAP_BTLS = {
+    D: 'Deformity',
+    C: 'Contusion',
+    A: 'Abrasion',
+    P: 'Puncture',
+    B: 'Burn',
+    T: 'Tenderness',
+    L: 'Laceration',
+    S: 'Swelling'
+};
+
+// Checkbox per injury type
+const TYPE_INPUTS = Object.keys(DCAP_BTLS).map(code => `injury-type-${code}`);
+
+export const BODY_VIEWS = { front: 'Front', back: 'Back' };
+
+// Diagram is drawn in a 200 x 400 box; the front view faces the viewer, so the patient's
+// right side is on the viewer's left (and on the viewer's right in the back view)
+const DIAGRAM = { width: 200, height: 400 };
+
+// Midline regions per view: [key, label, [x, y, width, height]]
+const TRUNK = {
+    front: [
+        ['head', 'Head / face', [78, 8, 44, 54]],
+        ['neck', 'Neck', [90, 62, 20, 14]],
+        ['chest', 'Chest', [62, 76, 76, 62]],
+        ['abdomen', 'Abdomen', [66, 138, 68, 50]],
+        ['groin', 'Pelvis / groin', [66, 188, 68, 22]]
+    ],
+    back: [
+        ['back-head', 'Back of head', [78, 8, 44, 54]],
+        ['back-neck', 'Back of neck', [90, 62, 20, 14]],
+        ['upper-back', 'Upper back', [62, 76, 76, 62]],
+        ['lower-back', 'Lower back', [66, 138, 68, 50]]
+    ]
+};
+
+// Paired regions, placed for the patient's right side in the front view: [part, label, box]
+const PAIRED = [
+    ['buttock', 'buttock', [66, 188, 34, 22], 'back'],
+    ['upper-arm', 'upper arm', [38, 78, 22, 60]],
+    ['forearm', 'forearm', [32, 140, 22, 56]],
+    ['hand', 'hand', [28, 198, 22, 24]],
+    ['thigh', 'thigh', [68, 212, 30, 80]],
+    ['lower-leg', 'lower leg', [70, 294, 26, 72]],
+    ['foot', 'foot', [66, 368, 30, 22]]
+];
+
+/**
+ * Every region of both views: { key, view, label, side, part, box }
+ * `part` names the paired body part ('thigh', ...) or the midline region key
+ */
+export const BODY_REGIONS = Object.keys(BODY_VIEWS).flatMap(view => {
+    const midline = TRUNK[view].map(([key, label, box]) => ({ key, view, label, side: null, part: key, box }));
+    const paired = ['right', 'left'].flatMap(side => PAIRED
+        .filter(([, , , only]) => !only || only === view)
+        .map(([part, label, box]) => {
+            // Mirror the patient's left in the front view and the patient's right in the back view
+            const mirrored = (side === 'left') !== (view === 'back');
+            const [x, y, w, h] = box;
+            const prefix = view === 'back' && part !== 'buttock' ? 'back-' : '';
+            return {
+                key: `${prefix}${side}-${part}`,
+                view,
+                label: `${side === 'right' ? 'Right' : 'Left'} ${label}${prefix ? ' (back)' : ''}`,
+                side,
+                part,
+                box: [mirrored ? DIAGRAM.width - x - w : x, y, w, h]
+            };
+        }));
+    return [...midline, ...paired];
+});
+
+/**
+ * Region by key
+ */
+export function getBodyRegion(key) {
+    return BODY_REGIONS.find(r => r.key === key) || null;
+}
+
+/**
+ * SVG markup of one view of the body
+ * @param {string} view - 'front' or 'back'
+ * @param {Object} [options]
+ * @param {string} [options.onRegion] - global function called as fn(event, view, regionKey) when a region is tapped
+ * @param {Object} [options.regionClass] - region key -> extra CSS class (e.g. shading)
+ * @param {string} [options.overlay] - extra SVG drawn over the regions (markers)
+ */
+export function bodyDiagramSvg(view, options = {}) {
+    const { onRegion, regionClass = {}, overlay = '' } = options;
+    const regions = BODY_REGIONS.filter(r => r.view === view).map(r => {
+        const [x, y, w, h] = r.box;
+        const click = onRegion ? ` onclick="${onRegion}(event, '${view}', '${r.key}')"` : '';
+        return `<rect class="body-region ${regionClass[r.key] || ''}" x="${x}" y="${y}" width="${w}" height="${h}" rx="8"${click}><title>${r.label}</title></rect>`;
+    }).join('');
+    // Side labels from the viewer's point of view
+    const [leftLabel, rightLabel] = view === 'front' ? ['R', 'L'] : ['L', 'R'];
+    return `
+        <svg class="body-diagram" viewBox="0 0 ${DIAGRAM.width} ${DIAGRAM.height}" role="img" aria-label="${BODY_VIEWS[view]} body diagram">
+          ${regions}
+          <text class="chart-label" x="4" y="16">${leftLabel}</text>
+          <text class="chart-label" x="${DIAGRAM.width - 4}" y="16" text-anchor="end">${rightLabel}</text>
+          ${overlay}
+        </svg>
+        <div class="small body-diagram-label">${BODY_VIEWS[view]}</div>`;
+}
+
+// Global injury data
+let injuryLog = []; // newest first
+// Region tapped for the next injury: { view, region, x, y }
+let selected = null;
+
+export function getInjuryLog() { return injuryLog; }
+
+/**
+ * Load injuries for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    injuryLog = record && Array.isArray(record.injuries) ? [...record.injuries] : [];
+}
+
+/**
+ * Persist injuries into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistInjuries() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].injuries = [...injuryLog];
+        saveToLocalStorage();
+    }
+}
+
+export function setInjuryLog(arr) {
+    injuryLog = Array.isArray(arr) ? [...arr] : [];
+    selected = null;
+    renderBodyMap();
+}
+
+// Keep the injuries in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.injuries = [...injuryLog]; },
+    load: record => setInjuryLog(record.injuries)
+});
+
+// Injury notes can be corrected and markings voided from the list
+registerCorrectableLog('injuries', {
+    label: 'injury',
+    getLog: () => injuryLog,
+    fields: [{ key: 'note', label: 'Note' }],
+    save: () => {
+        persistInjuries();
+        renderBodyMap();
+        refreshTraumaTriage();
+    }
+});
+
+/**
+ * Select the tapped region (and the tapped point) for the next injury
+ */
+export function selectInjuryRegion(event, view, key) {
+    const region = getBodyRegion(key);
+    if (!region) return;
+    const [x, y, w, h] = region.box;
+    let point = { x: x + w / 2, y: y + h / 2 };
+
+    // Use the tapped point when the browser can map it into diagram coordinates
+    const svg = event && event.target ? event.target.ownerSVGElement : null;
+    if (svg && svg.createSVGPoint && svg.getScreenCTM && svg.getScreenCTM()) {
+        const pt = svg.createSVGPoint();
+        pt.x = event.clientX;
+        pt.y = event.clientY;
+        const mapped = pt.matrixTransform(svg.getScreenCTM().inverse());
+        point = { x: mapped.x, y: mapped.y };
+    }
+
+    selected = { view, region: key, x: Math.round(point.x), y: Math.round(point.y) };
+    renderBodyMap();
+}
+
+/**
+ * Validate the injury marking, showing messages inline: a location on the body map and at least one injury type
+ * @returns {boolean} true when the injury can be added
+ */
+function checkInjuryForm() {
+    const errors = {};
+    if (!TYPE_INPUTS.some(id => getValue(id, false))) errors['injury-types'] = 'Select at least one injury type';
+    renderFieldMessages(['injury-types'], errors);
+    setFormError('injury-form-error', selected ? '' : 'Tap the body map to mark where the injury is');
+    return !!selected && Object.keys(errors).length === 0;
+}
+
+/**
+ * Add an injury at the selected region
+ */
+export function addInjury() {
+    if (!checkInjuryForm()) return;
+
+    const item = {
+        time: nowTimestamp(),
+        iso: new Date().toISOString(),
+        ...readObservedTime('injury-observed'),
+        ...selected,
+        types: Object.keys(DCAP_BTLS).filter(code => getValue(`injury-type-${code}`, false)),
+        note: getValue('injury-note')
+    };
+    injuryLog.unshift(item);
+    sortByObserved(injuryLog);
+    if (injuryLog.length > 200) injuryLog.length = 200;
+
+    persistInjuries();
+    clearInjuryInputs();
+    refreshTraumaTriage();
+}
+
+/**
+ * Clear the injury inputs and the selected region
+ */
+export function clearInjuryInputs() {
+    TYPE_INPUTS.forEach(id => setValue(id, false));
+    setValue('injury-note', '');
+    setValue('injury-observed', '');
+    selected = null;
+    renderFieldMessages(['injury-types']);
+    setFormError('injury-form-error', '');
+    renderBodyMap();
+}
+
+/**
+ * "Deformity, Swelling" for an injury's codes
+ */
+export function describeInjuryTypes(injury) {
+    return (injury.types || []).map(code => DCAP_BTLS[code] || code).join(', ');
+}
+
+/**
+ * Injuries grouped by region in diagram order (voided markings are left out)
+ * @returns {Array<{region: Object, injuries: Array}>}
+ */
+export function injuriesByRegion(injuries) {
+    const active = activeEntries(injuries);
+    return BODY_REGIONS
+        .map(region => ({ region, injuries: active.filter(i => i.region === region.key) }))
+        .filter(group => group.injuries.length > 0);
+}
+
+/**
+ * Marker circles with type codes for one view
+ */
+function markersSvg(view) {
+    const markers = activeEntries(injuryLog).filter(i => i.view === view).map(i => `
+        <g class="injury-marker"><circle cx="${i.x}" cy="${i.y}" r="7"></circle><text x="${i.x}" y="${i.y + 3}" text-anchor="middle">${(i.types || []).join('')}</text></g>`).join('');
+    const pending = selected && selected.view === view
+        ? `<circle class="injury-pending" cx="${selected.x}" cy="${selected.y}" r="8"></circle>`
+        : '';
+    return markers + pending;
+}
+
+/**
+ * Render both views, the selected region and the injury list
+ */
+export function renderBodyMap() {
+    Object.keys(BODY_VIEWS).forEach(view => {
+        const el = q(`bodymap-${view}`);
+        if (!el) return;
+        const regionClass = selected && selected.view === view ? { [selected.region]: 'selected' } : {};
+        el.innerHTML = bodyDiagramSvg(view, { onRegion: 'selectInjuryRegion', regionClass, overlay: markersSvg(view) });
+    });
+
+    const regionEl = q('injury-region');
+    if (regionEl) regionEl.textContent = selected ? `Selected: ${getBodyRegion(selected.region).label}` : 'Tap the diagram to choose a location';
+
+    const el = q('injury-log');
+    if (!el) return; // Defensive guard
+    el.innerHTML = '';
+    if (injuryLog.length === 0) {
+        el.innerHTML = '<div class="log-item meta">No injuries marked yet</div>';
+        return;
+    }
+    injuryLog.forEach((item, index) => {
+        const region = getBodyRegion(item.region);
+        const div = document.createElement('div');
+        div.className = item.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(item)}</strong> — ${region ? region.label : item.region}: ${describeInjuryTypes(item)}${item.note ? ` — ${item.note}` : ''}</div>${renderCorrectionControls('injuries', index, item)}`;
+        el.appendChild(div);
+    });
+}
@@ -0,0 +1,289 @@
+/**
+ * Burns Module
+ * %TBSA from regions shaded on the body map (Rule of Nines for adults, Lund-Browder for children)
+ * with burn depth per region and the Parkland fluid estimate for the first 8 hours
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { BODY_REGIONS, BODY_VIEWS, bodyDiagramSvg, getBodyRegion } from './bodymap.js';
+import { parseAgeYears } from './ranges.js';
+import { checkLimits, given, readValues, renderFieldMessages } from './validation.js';
+import { refreshTraumaTriage } from './mechanism.js';
+import { nowTimestamp, getValue, setValue, q, minutesSince, toDateTimeLocal, formatClock } from './utils.js';
+
+// Lund-Browder is used below this age (years); unknown ages use the Rule of Nines
+export const LUND_BROWDER_MAX_AGE = 16;
+
+export const BURN_DEPTHS = {
+    superficial: 'Superficial (epidermal)',
+    'superficial-partial': 'Superficial partial thickness',
+    'deep-partial': 'Deep partial thickness',
+    full: 'Full thickness'
+};
+
+// Superficial (epidermal) burns are left out of %TBSA and fluid calculations
+const COUNTED_DEPTHS = ['superficial-partial', 'deep-partial', 'full'];
+
+// Fluid resuscitation is usually started at or above this %TBSA
+export const FLUID_THRESHOLD = { adult: 15, child: 10 };
+
+// Parkland: 4 mL x kg x %TBSA over 24 hours, half of it in the first 8 hours from the time of the burn
+export const PARKLAND_ML_PER_KG_PERCENT = 4;
+const FIRST_PERIOD_HOURS = 8;
+
+// Weight for the fluid estimate (kg): values outside `hard` are rejected, outside `soft` only flagged
+export const BURN_LIMITS = {
+    'burn-weight': { label: 'Weight', hard: [0.5, 350], soft: [2, 200] }
+};
+
+// % of body surface per region on ONE view (front or back), keyed by body map part
+const RULE_OF_NINES = {
+    head: 3.5, 'back-head': 3.5, neck: 1, 'back-neck': 1,
+    chest: 9, abdomen: 9, groin: 1, 'upper-back': 9, 'lower-back': 4, buttock: 2.5,
+    'upper-arm': 2, forearm: 1.5, hand: 1,
+    thigh: 4.5, 'lower-leg': 3, foot: 1.5
+};
+
+const LUND_BROWDER_FIXED = {
+    neck: 1, 'back-neck': 1,
+    chest: 6.5, abdomen: 6.5, groin: 1, 'upper-back': 6.5, 'lower-back': 6.5, buttock: 2.5,
+    'upper-arm': 2, forearm: 1.5, hand: 1.25, foot: 1.75
+};
+
+// Lund-Browder parts that change with age: half of the head, one thigh and one lower leg
+// per view, for ages 0, 1, 5, 10 and 15
+const LUND_BROWDER_AGES = [0, 1, 5, 10, 15];
+const LUND_BROWDER_BY_AGE = {
+    head: [9.5, 8.5, 6.5, 5.5, 4.5],
+    'back-head': [9.5, 8.5, 6.5, 5.5, 4.5],
+    thigh: [2.75, 3.25, 4, 4.25, 4.5],
+    'lower-leg': [2.5, 2.5, 2.75, 3, 3.25]
+};
+
+/**
+ * Chart for an age entry: 'lund-browder' for children, 'nines' otherwise
+ */
+export function burnChartFor(age) {
+    const years = parseAgeYears(age);
+    return !isNaN(years) && years < LUND_BROWDER_MAX_AGE ? 'lund-browder' : 'nines';
+}
+
+export const BURN_CHARTS = { nines: 'Rule of Nines', 'lund-browder': 'Lund-Browder' };
+
+/**
+ * % of body surface of one body map region for an age
+ */
+export function regionPercent(key, age) {
+    const region = getBodyRegion(key);
+    if (!region) return 0;
+    if (burnChartFor(age) === 'nines') return RULE_OF_NINES[region.part] || 0;
+
+    const byAge = LUND_BROWDER_BY_AGE[region.part];
+    if (!byAge) return LUND_BROWDER_FIXED[region.part] || 0;
+    const years = parseAgeYears(age);
+    const column = LUND_BROWDER_AGES.filter(a => a <= years).length - 1;
+    return byAge[Math.max(0, column)];
+}
+
+/**
+ * %TBSA of the shaded regions (superficial burns are not counted)
+ * @param {Object} regions - region key -> depth
+ */
+export function calculateTbsa(regions, age) {
+    const total = Object.keys(regions || {})
+        .filter(key => COUNTED_DEPTHS.includes(regions[key]))
+        .reduce((sum, key) => sum + regionPercent(key, age), 0);
+    return Math.round(total * 10) / 10;
+}
+
+/**
+ * Parkland fluid requirement, or null without a weight or counted burn
+ * @returns {{total: number, firstPeriod: number}|null} mL over 24 hours and in the first 8 hours
+ */
+export function parklandFluids(tbsa, weightKg) {
+    const weight = parseFloat(weightKg);
+    if (!tbsa || isNaN(weight) || weight <= 0) return null;
+    const total = Math.round(PARKLAND_ML_PER_KG_PERCENT * weight * tbsa);
+    return { total, firstPeriod: Math.round(total / 2) };
+}
+
+/**
+ * Time left in the first 8 hours from the time of the burn and the rate that would give the
+ * first-period volume in it (assuming no fluid has been given yet)
+ * @returns {{dueIso: string, minutesLeft: number, mlPerHour: number|null}|null}
+ */
+export function fluidSchedule(burns, fluids, now = Date.now()) {
+    if (!fluids || !burns || !burns.burnIso) return null;
+    const elapsed = minutesSince(burns.burnIso, now);
+    if (elapsed === null) return null;
+    const minutesLeft = Math.max(0, FIRST_PERIOD_HOURS * 60 - elapsed);
+    return {
+        dueIso: new Date(new Date(burns.burnIso).getTime() + FIRST_PERIOD_HOURS * 3600000).toISOString(),
+        minutesLeft,
+        mlPerHour: minutesLeft > 0 ? Math.round(fluids.firstPeriod / (minutesLeft / 60)) : null
+    };
+}
+
+/**
+ * Results for a burns assessment: { chart, tbsa, fluids, schedule, fluidsIndicated }
+ */
+export function assessBurns(burns, age, now = Date.now()) {
+    const chart = burnChartFor(age);
+    const tbsa = calculateTbsa(burns && burns.regions, age);
+    const fluids = parklandFluids(tbsa, burns && burns.weightKg);
+    const threshold = chart === 'lund-browder' ? FLUID_THRESHOLD.child : FLUID_THRESHOLD.adult;
+    return { chart, tbsa, fluids, schedule: fluidSchedule(burns, fluids, now), fluidsIndicated: tbsa >= threshold };
+}
+
+/**
+ * Handover lines for a burns assessment (empty when nothing is shaded)
+ * @returns {string[]}
+ */
+export function describeBurns(burns, age, now = Date.now()) {
+    const regions = (burns && burns.regions) || {};
+    if (Object.keys(regions).length === 0) return [];
+    const result = assessBurns(burns, age, now);
+    const lines = [`TBSA ${result.tbsa}% (${BURN_CHARTS[result.chart]}, superficial burns not counted)`];
+
+    Object.keys(BURN_DEPTHS).forEach(depth => {
+        const keys = BODY_REGIONS.filter(r => regions[r.key] === depth).map(r => r.key);
+        if (keys.length) lines.push(`${BURN_DEPTHS[depth]}: ${keys.map(key => `${getBodyRegion(key).label} ${regionPercent(key, age)}%`).join(', ')}`);
+    });
+
+    if (burns.burnIso) lines.push(`Time of burn: ${formatClock(burns.burnIso)}`);
+    if (result.fluids) {
+        lines.push(`Parkland (${burns.weightKg} kg): ${result.fluids.total} mL over 24 h, ${result.fluids.firstPeriod} mL in the first ${FIRST_PERIOD_HOURS} h`);
+        const s = result.schedule;
+        if (s) lines.push(s.mlPerHour ? `First ${FIRST_PERIOD_HOURS} h ends ${formatClock(s.dueIso)} — ${s.mlPerHour} mL/h if none given yet` : `First ${FIRST_PERIOD_HOURS} h ended ${formatClock(s.dueIso)}`);
+        else lines.push('Time of burn not recorded — fluid timing runs from the burn, not from arrival');
+        if (!result.fluidsIndicated) lines.push('Below the usual threshold for fluid resuscitation');
+    } else if (result.tbsa > 0) {
+        lines.push('Enter weight for the Parkland fluid estimate');
+    }
+    return lines;
+}
+
+// Burns assessment for the current patient: { regions: {key: depth}, weightKg, burnIso, updated }
+let burns = { regions: {}, weightKg: '', burnIso: '' };
+
+export function getBurns() { return burns; }
+
+/**
+ * The assessment as stored on the patient, with its results for the current age
+ */
+function burnsRecord() {
+    const result = assessBurns(burns, patientInfo.age);
+    return { ...burns, regions: { ...burns.regions }, chart: result.chart, tbsa: result.tbsa, fluids: result.fluids };
+}
+
+/**
+ * Load burns for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    setBurns(record ? record.burns : null, false);
+}
+
+/**
+ * Persist burns into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistBurns() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].burns = burnsRecord();
+        saveToLocalStorage();
+    }
+}
+
+export function setBurns(value, render = true) {
+    burns = {
+        regions: { ...((value && value.regions) || {}) },
+        weightKg: (value && value.weightKg) || '',
+        burnIso: (value && value.burnIso) || '',
+        updated: (value && value.updated) || ''
+    };
+    if (render) renderBurns();
+}
+
+// Keep the burns assessment in step with the selected patient (results follow the patient's age)
+registerPatientRecordHandler({
+    save: record => { record.burns = burnsRecord(); },
+    load: record => setBurns(record.burns)
+});
+
+/**
+ * Shade a tapped region with the selected depth (tapping it again with the same depth clears it)
+ */
+export function toggleBurnRegion(event, view, key) {
+    const depth = getValue('burn-depth') || 'superficial-partial';
+    if (burns.regions[key] === depth) delete burns.regions[key];
+    else burns.regions[key] = depth;
+    burns.updated = nowTimestamp();
+    persistBurns();
+    renderBurns();
+    refreshTraumaTriage();
+}
+
+/**
+ * Validate the weight and time of burn, showing messages inline (extreme weights are only flagged)
+ * @returns {boolean} true when the values can be stored
+ */
+function checkBurnInputs() {
+    const values = readValues(['burn-weight', 'burn-time']);
+    const errors = {};
+    const warnings = {};
+    checkLimits(BURN_LIMITS, values, errors, warnings);
+    if (given(values['burn-time']) && new Date(values['burn-time']).getTime() > Date.now() + 60000) {
+        errors['burn-time'] = 'Time of burn cannot be in the future';
+    }
+    renderFieldMessages(['burn-weight', 'burn-time'], errors, warnings);
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Store weight and time of burn when they change (invalid values are not stored)
+ */
+export function burnDetailsChanged() {
+    if (!checkBurnInputs()) return;
+    const burnTime = getValue('burn-time');
+    burns.weightKg = getValue('burn-weight');
+    burns.burnIso = burnTime ? new Date(burnTime).toISOString() : '';
+    burns.updated = nowTimestamp();
+    persistBurns();
+    renderBurns();
+}
+
+/**
+ * Remove all shading after confirmation
+ */
+export function clearBurns() {
+    if (Object.keys(burns.regions).length === 0) return;
+    if (!confirm('Clear all shaded burn regions?')) return;
+    burns.regions = {};
+    burns.updated = nowTimestamp();
+    persistBurns();
+    renderBurns();
+    refreshTraumaTriage();
+}
+
+/**
+ * Render both views shaded by depth, the inputs and the calculated result
+ */
+export function renderBurns() {
+    Object.keys(BODY_VIEWS).forEach(view => {
+        const el = q(`burnmap-${view}`);
+        if (!el) return;
+        const regionClass = {};
+        Object.keys(burns.regions).forEach(key => { regionClass[key] = `burn-${burns.regions[key]}`; });
+        el.innerHTML = bodyDiagramSvg(view, { onRegion: 'toggleBurnRegion', regionClass });
+    });
+
+    setValue('burn-weight', burns.weightKg);
+    setValue('burn-time', burns.burnIso ? toDateTimeLocal(burns.burnIso) : '');
+
+    const el = q('burn-result');
+    if (!el) return; // Defensive guard
+    const lines = describeBurns(burns, patientInfo.age);
+    el.textContent = lines.length ? lines.join('\n') : 'Tap regions to shade burns at the selected depth';
+}
@@ -0,0 +1,210 @@
+/**
+ * Corrections Module
+ * Edit or void individual log entries, keeping a correction history on each entry
+ */
+
+// Import patient management
+import { patientInfo } from './patient.js';
+import { renderFieldMessages } from './validation.js';
+import { nowTimestamp, getValue, setValue, q } from './utils.js';
+
+// Correctable logs by kind ('vitals', 'gcs', ...), registered by the module that owns the log
+const correctableLogs = {};
+// Entry open in the editor: { kind, index }
+let editing = null;
+
+/**
+ * Register a log whose entries can be corrected
+ * @param {string} kind - key used in the log's Edit/Void buttons
+ * @param {Object} options
+ * @param {string} options.label - shown in the editor title
+ * @param {Function} options.getLog - returns the live log array (newest first)
+ * @param {Array<{key: string, label: string, options?: Array|Function, type?: string, format?: Function, parse?: Function}>} options.fields -
+ *   editable fields; fields with `options` ([value, label] pairs, or a function of the entry returning them) are edited
+ *   with a select, others with an input of `type`. `format` turns the stored value into the input's text and `parse` back
+ * @param {Function} options.save - persist and re-render after a change
+ * @param {Function} [options.afterEdit] - recalculate derived values on the changed entry
+ * @param {Function} [options.validate] - checks the corrected entry like the entry form does:
+ *   returns { errors, warnings } keyed by field; errors block the correction, warnings need confirming
+ */
+export function registerCorrectableLog(kind, options) {
+    correctableLogs[kind] = options;
+}
+
+/**
+ * Entries that have not been voided (for scores, trends and charts)
+ */
+export function activeEntries(log) {
+    return (Array.isArray(log) ? log : []).filter(entry => !entry.voided);
+}
+
+/**
+ * Responder making the correction
+ */
+function currentResponder() {
+    return getValue('responder-id') || patientInfo.responderId || 'Unknown';
+}
+
+/**
+ * Input for one editable field: a select of the allowed values, or free text
+ */
+function fieldInput(field, entry) {
+    if (!field.options) return `<input id="entry-edit-${field.key}"${field.type ? ` type="${field.type}"` : ''}>`;
+    const options = typeof field.options === 'function' ? field.options(entry) : [...field.options];
+    // Keep a value from before the field was coded so opening the editor does not change it
+    const current = entry[field.key] === undefined ? '' : String(entry[field.key]);
+    if (!options.some(([value]) => value === current)) options.push([current, current]);
+    return `<select id="entry-edit-${field.key}">${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>`;
+}
+
+/**
+ * Open the editor for one entry
+ */
+export function editLogEntry(kind, index) {
+    const log = correctableLogs[kind];
+    const entry = log ? log.getLog()[index] : null;
+    const modal = q('entry-edit-modal');
+    const form = q('entry-edit-fields');
+    if (!entry || !modal || !form) return;
+    if (entry.voided) {
+        alert('This entry has been voided and can no longer be edited');
+        return;
+    }
+
+    editing = { kind, index };
+    const title = q('entry-edit-title');
+    if (title) title.textContent = `Correct ${log.label} (${entry.time})`;
+    form.innerHTML = log.fields.map(f => `
+        <div class="form-group">
+          <label for="entry-edit-${f.key}">${f.label}</label>
+          ${fieldInput(f, entry)}
+        </div>`).join('');
+    log.fields.forEach(f => {
+        const value = entry[f.key] === undefined ? '' : entry[f.key];
+        setValue(`entry-edit-${f.key}`, f.format ? f.format(value) : value);
+    });
+    setValue('entry-edit-reason', '');
+    modal.style.display = 'block';
+}
+
+/**
+ * Close the editor without changes
+ */
+export function closeEntryEditor() {
+    editing = null;
+    const modal = q('entry-edit-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Save the edited fields, recording original and new values
+ */
+export function saveLogEntryEdit() {
+    if (!editing) return;
+    const log = correctableLogs[editing.kind];
+    const entry = log.getLog()[editing.index];
+    if (!entry) return closeEntryEditor();
+
+    const changes = {};
+    log.fields.forEach(f => {
+        const from = entry[f.key] === undefined ? '' : String(entry[f.key]);
+        const to = f.parse ? f.parse(getValue(`entry-edit-${f.key}`)) : getValue(`entry-edit-${f.key}`);
+        if (from !== to) changes[f.key] = { from, to };
+    });
+    if (Object.keys(changes).length === 0) {
+        alert('Nothing has been changed');
+        return;
+    }
+
+    // Corrected values are held to the same limits as new entries
+    if (log.validate) {
+        const corrected = { ...entry };
+        Object.keys(changes).forEach(key => { corrected[key] = changes[key].to; });
+        const { errors = {}, warnings = {} } = log.validate(corrected);
+        const messages = ids => {
+            const keyed = {};
+            Object.keys(ids).forEach(key => { keyed[`entry-edit-${key}`] = ids[key]; });
+            return keyed;
+        };
+        renderFieldMessages(log.fields.map(f => `entry-edit-${f.key}`), messages(errors), messages(warnings));
+        if (Object.keys(errors).length > 0) return;
+        const extreme = Object.values(warnings);
+        if (extreme.length > 0 && !confirm(`Please check these values:\n${extreme.join('\n')}\n\nSave anyway?`)) return;
+    }
+
+    Object.keys(changes).forEach(key => { entry[key] = changes[key].to; });
+    addCorrection(entry, 'edit', changes);
+    if (log.afterEdit) log.afterEdit(entry);
+    log.save();
+    closeEntryEditor();
+}
+
+/**
+ * Void the entry open in the editor (kept in the log, struck through)
+ */
+export function voidLogEntry() {
+    if (!editing) return;
+    const log = correctableLogs[editing.kind];
+    const entry = log.getLog()[editing.index];
+    if (!entry) return closeEntryEditor();
+    if (!getValue('entry-edit-reason')) {
+        alert('Enter a reason before voiding an entry');
+        return;
+    }
+    if (!confirm('Void this entry? It stays in the record marked as voided.')) return;
+
+    entry.voided = true;
+    addCorrection(entry, 'void', {});
+    if (log.afterEdit) log.afterEdit(entry);
+    log.save();
+    closeEntryEditor();
+}
+
+/**
+ * Append a correction to an entry's history
+ */
+function addCorrection(entry, action, changes) {
+    entry.corrections = entry.corrections || [];
+    entry.corrections.push({
+        time: nowTimestamp(),
+        iso: new Date().toISOString(),
+        responderId: currentResponder(),
+        action,
+        changes,
+        reason: getValue('entry-edit-reason')
+    });
+}
+
+/**
+ * One line per correction, e.g. "10:02:11 edited by R12: pulse 720 -> 72 (typo)"
+ */
+export function describeCorrections(entry) {
+    return (entry.corrections || []).map(c => {
+        const what = c.action === 'void'
+            ? 'voided'
+            : 'edited: ' + Object.keys(c.changes).map(key => `${key} ${c.changes[key].from || '(blank)'} -> ${c.changes[key].to || '(blank)'}`).join(', ');
+        return `${c.time} ${what} by ${c.responderId}${c.reason ? ` (${c.reason})` : ''}`;
+    });
+}
+
+/**
+ * Edit/Void button and correction history for a rendered log entry
+ */
+export function renderCorrectionControls(kind, index, entry) {
+    const history = describeCorrections(entry);
+    const status = entry.voided ? '<span class="entry-status">VOIDED</span>' : history.length ? '<span class="entry-status">AMENDED</span>' : '';
+    const button = entry.voided ? '' : `<button class="btn ghost small-btn" onclick="editLogEntry('${kind}', ${index})">Edit</button>`;
+    const details = history.length
+        ? `<details class="correction-history"><summary>Correction history (${history.length})</summary>${history.map(h => `<div class="meta">${h}</div>`).join('')}</details>`
+        : '';
+    return `${status}${button}${details}`;
+}
+
+/**
+ * Report suffix for an amended or voided entry
+ */
+export function reportCorrectionNote(entry) {
+    const history = describeCorrections(entry);
+    if (history.length === 0) return '';
+    return `  [${entry.voided ? 'VOIDED' : 'AMENDED'}: ${history.join('; ')}]\n`;
+}
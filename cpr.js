@@ -4,8 +4,9 @@
  */
 
 // Import patient management
-import { patientInfo, currentPatientId, patients } from './patient.js';
-import { nowTimestamp, getValue, setValue, q } from './utils.js';
+import { patientInfo, currentPatientId, patients, saveToLocalStorage as savePatients, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { registerCorrectableLog, renderCorrectionControls } from './corrections.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, entryTimeLabel, sortByObserved } from './utils.js';
 
 // Global CPR data
 let cprLog = [];
@@ -26,28 +27,79 @@ let oscillator = null;
 let gainNode = null;
 
 /**
- * Load CPR data from localStorage
+ * Load CPR data for the current patient (patients are persisted by patient.js)
  */
 export function loadFromLocalStorage() {
-    const savedCPR = localStorage.getItem('cprLog');
-    if (savedCPR) cprLog = JSON.parse(savedCPR);
-    
-    const savedEvents = localStorage.getItem('cprEvents');
-    if (savedEvents) cprEvents = JSON.parse(savedEvents);
-    
-    const savedTimeline = localStorage.getItem('cprTimeline');
-    if (savedTimeline) cprTimeline = JSON.parse(savedTimeline);
+    const record = getCurrentPatientRecord();
+    setCprData(record ? record.cpr : null, false);
 }
 
 /**
- * Save CPR data to localStorage
+ * Save CPR data into the current patient object and persist all patients
  */
 export function saveToLocalStorage() {
-    localStorage.setItem('cprLog', JSON.stringify(cprLog));
-    localStorage.setItem('cprEvents', JSON.stringify(cprEvents));
-    localStorage.setItem('cprTimeline', JSON.stringify(cprTimeline));
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].cpr = { log: [...cprLog], events: [...cprEvents], timeline: [...cprTimeline] };
+        savePatients();
+    }
+}
+
+/**
+ * Replace the CPR session log, events and timeline (e.g. when switching patient)
+ */
+export function setCprData(cpr, render = true) {
+    const data = cpr || {};
+    cprLog = Array.isArray(data.log) ? [...data.log] : [];
+    cprEvents = Array.isArray(data.events) ? [...data.events] : [];
+    cprTimeline = Array.isArray(data.timeline) ? [...data.timeline] : [];
+    if (render) {
+        renderCprLog();
+        renderCprEvents();
+        renderCprTimeline();
+    }
+}
+
+// Keep the CPR log, events and timeline in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.cpr = { log: [...cprLog], events: [...cprEvents], timeline: [...cprTimeline] }; },
+    load: record => setCprData(record.cpr)
+});
+
+/**
+ * Save and redraw after a CPR entry is corrected
+ */
+function saveCprCorrection() {
+    saveToLocalStorage();
+    renderCprLog();
+    renderCprEvents();
+    renderCprTimeline();
 }
 
+// CPR sessions and events can be corrected or voided from their logs
+registerCorrectableLog('cpr-session', {
+    label: 'CPR session',
+    getLog: () => cprLog,
+    fields: [
+        { key: 'duration', label: 'Duration' },
+        { key: 'rate', label: 'Rate (bpm)' },
+        { key: 'cycles', label: 'Cycles' }
+    ],
+    save: saveCprCorrection
+});
+registerCorrectableLog('cpr', {
+    label: 'CPR event',
+    getLog: () => cprEvents,
+    fields: [{ key: 'details', label: 'Details' }],
+    // The timeline keeps its own copy of each event; mark it voided with the event
+    afterEdit: entry => {
+        cprTimeline
+            .filter(t => t !== entry && t.iso === entry.iso && t.type === entry.type)
+            .forEach(t => { t.voided = entry.voided; });
+    },
+    save: saveCprCorrection
+});
+
 /**
  * Initialize audio context for metronome
  */
@@ -313,6 +365,23 @@ function getRhythmName(value) {
     return rhythmNames[value] || value;
 }
 
+/**
+ * Time fields for a new event, with the optional observed-at time (the input is cleared once used)
+ */
+function eventStamp() {
+    const stamp = { time: nowTimestamp(), iso: new Date().toISOString(), ...readObservedTime('cpr-observed') };
+    setValue('cpr-observed', '');
+    return stamp;
+}
+
+/**
+ * Keep events and timeline in observed-time order after a backdated entry
+ */
+function sortEvents() {
+    sortByObserved(cprEvents);
+    sortByObserved(cprTimeline);
+}
+
 /**
  * Log rhythm change
  */
@@ -326,22 +395,23 @@ export function logRhythmChange() {
     
     currentRhythm = rhythm;
     
+    const stamp = eventStamp();
+
     // Add to events log
     cprEvents.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'rhythm',
         details: rhythm
     });
     
     // Add to timeline
     cprTimeline.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'rhythm',
         details: `Rhythm: ${getRhythmName(rhythm)}`
     });
     
+    sortEvents();
     saveToLocalStorage();
     renderCprEvents();
     renderCprTimeline();
@@ -357,23 +427,24 @@ export function logShock() {
         return;
     }
     
+    const stamp = eventStamp();
+
     // Add to events log
     cprEvents.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'shock',
         details: `${energy}J`
     });
     
     // Add to timeline
     cprTimeline.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'shock',
         details: `Shock delivered: ${energy}J`
     });
     
     setValue('shock-energy','');
+    sortEvents();
     saveToLocalStorage();
     renderCprEvents();
     renderCprTimeline();
@@ -423,18 +494,18 @@ export function logMedication() {
         details = `Epinephrine ${dose}mg every ${interval} min`;
     }
     
+    const stamp = eventStamp();
+
     // Add to events log
     cprEvents.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'medication',
         details: details
     });
     
     // Add to timeline
     cprTimeline.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'medication',
         details: `Medication: ${details}`
     });
@@ -444,6 +515,7 @@ export function logMedication() {
     setValue('other-medication','');
     setValue('epi-dose','1');
     
+    sortEvents();
     saveToLocalStorage();
     renderCprEvents();
     renderCprTimeline();
@@ -495,18 +567,18 @@ export function logIntervention() {
         details += ` - ${notes}`;
     }
     
+    const stamp = eventStamp();
+
     // Add to events log
     cprEvents.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'intervention',
         details: details
     });
     
     // Add to timeline
     cprTimeline.unshift({
-        time: nowTimestamp(),
-        iso: new Date().toISOString(),
+        ...stamp,
         type: 'intervention',
         details: `Intervention: ${details}`
     });
@@ -516,6 +588,7 @@ export function logIntervention() {
     setValue('other-intervention','');
     setValue('intervention-notes','');
     
+    sortEvents();
     saveToLocalStorage();
     renderCprEvents();
     renderCprTimeline();
@@ -534,12 +607,13 @@ export function renderCprLog() {
         return;
     }
     
-    cprLog.forEach(session => {
+    cprLog.forEach((session, index) => {
         const div = document.createElement('div');
-        div.className = 'log-item';
+        div.className = session.voided ? 'log-item voided' : 'log-item';
         div.innerHTML = `
-            <div><strong>${session.time}</strong> — CPR Session</div>
-            <div>Duration: ${session.duration} | Rate: ${session.rate} bpm | Cycles: ${session.cycles} | Rhythm: ${getRhythmName(session.rhythm)}</div>
+            <div class="entry-content"><strong>${session.time}</strong> — CPR Session</div>
+            <div class="entry-content">Duration: ${session.duration} | Rate: ${session.rate} bpm | Cycles: ${session.cycles} | Rhythm: ${getRhythmName(session.rhythm)}</div>
+            ${renderCorrectionControls('cpr-session', index, session)}
         `;
         el.appendChild(div);
     });
@@ -558,9 +632,9 @@ export function renderCprEvents() {
         return; 
     }
     
-    cprEvents.forEach(event => {
+    cprEvents.forEach((event, index) => {
         const div = document.createElement('div');
-        div.className = 'cpr-event';
+        div.className = event.voided ? 'cpr-event voided' : 'cpr-event';
         
         let eventClass = '';
         let eventLabel = '';
@@ -582,13 +656,17 @@ export function renderCprEvents() {
                 eventClass = 'event-intervention';
                 eventLabel = 'INTERVENTION';
                 break;
+            case 'note':
+                eventLabel = 'NOTE';
+                break;
         }
         
         div.innerHTML = `
-            <div class="cpr-event-time">${event.time}</div>
+            <div class="cpr-event-time">${entryTimeLabel(event)}</div>
             <div class="cpr-event-details">
                 <span class="cpr-event-type ${eventClass}">${eventLabel}</span>
-                ${event.details}
+                <span class="entry-content">${event.details}</span>
+                ${renderCorrectionControls('cpr', index, event)}
             </div>
         `;
         
@@ -611,8 +689,8 @@ export function renderCprTimeline() {
     
     cprTimeline.forEach(event => {
         const div = document.createElement('div');
-        div.className = 'log-item';
-        div.innerHTML = `<div><strong>${event.time}</strong> — ${event.details}</div>`;
+        div.className = event.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(event)}</strong> — ${event.details}</div>`;
         el.appendChild(div);
     });
 }
@@ -623,9 +701,10 @@ export function stopCPR() { stopMetronome(); }
 export function addCprEvent() {
     const details = prompt('Add CPR event (brief):');
     if (!details) return;
-    const item = { time: nowTimestamp(), iso: new Date().toISOString(), type: 'note', details };
+    const item = { ...eventStamp(), type: 'note', details };
     cprEvents.unshift(item);
     cprTimeline.unshift(item);
+    sortEvents();
     saveToLocalStorage();
     renderCprEvents();
     renderCprTimeline();
@@ -0,0 +1,86 @@
+/**
+ * MCI Dashboard Module
+ * Scene overview: priority and disposition counts, time since each patient's last vitals/GCS and trauma-centre flags
+ */
+
+// Import patient management
+import { patients, currentPatientId, switchPatient } from './patient.js';
+import { getReassessmentStatus, formatCountdown } from './reassess.js';
+import { evaluateTraumaCriteria } from './mechanism.js';
+import { DISPOSITIONS, countDispositions, describeDisposition } from './disposition.js';
+import { q, minutesSince } from './utils.js';
+
+const PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+
+/**
+ * Render the scene dashboard
+ */
+export function renderDashboard() {
+    const countsEl = q('dashboard-counts');
+    const listEl = q('dashboard-list');
+    if (!countsEl || !listEl) return; // Defensive guard
+
+    const ids = Object.keys(patients);
+    const counts = { P1: 0, P2: 0, P3: 0, P4: 0, none: 0 };
+    ids.forEach(id => {
+        const priority = patients[id].info ? patients[id].info.priority : '';
+        if (counts[priority] !== undefined) counts[priority]++;
+        else counts.none++;
+    });
+
+    countsEl.innerHTML = `
+        <div class="dashboard-count"><span>${ids.length}</span>Total</div>
+        ${PRIORITIES.map(p => `<div class="dashboard-count priority-${p.toLowerCase()}"><span>${counts[p]}</span>${p}</div>`).join('')}
+        <div class="dashboard-count"><span>${counts.none}</span>Untriaged</div>
+    `;
+    const dispositionsEl = q('dashboard-dispositions');
+    if (dispositionsEl) dispositionsEl.textContent = countDispositions(patients).map(d => `${d.label}: ${d.count}`).join(' • ');
+
+    listEl.innerHTML = '';
+    if (ids.length === 0) {
+        listEl.innerHTML = '<div class="log-item meta">No patients on this scene</div>';
+        return;
+    }
+
+    // Highest priority first, untriaged next, patients who have left the scene last
+    const rank = id => {
+        const disposition = DISPOSITIONS[(patients[id].disposition || {}).status];
+        if (disposition && disposition.departed) return PRIORITIES.length + 1;
+        const i = PRIORITIES.indexOf(patients[id].info ? patients[id].info.priority : '');
+        return i === -1 ? PRIORITIES.length : i;
+    };
+    ids.sort((a, b) => rank(a) - rank(b));
+
+    const ago = m => (m === null ? 'never' : `${m} min ago`);
+    ids.forEach(id => {
+        const record = patients[id];
+        const info = record.info || {};
+        const status = getReassessmentStatus(id, record);
+        const name = info.name && info.name.trim() !== '' ? info.name : 'New Patient';
+        const priority = info.priority
+            ? `<span class="priority-indicator priority-${info.priority.toLowerCase()}">${info.category || info.priority}</span>`
+            : '';
+        const trauma = evaluateTraumaCriteria(record);
+        const traumaFlag = trauma.meets
+            ? `<div class="meta trauma-flag trauma-${trauma.level}">🚑 Trauma centre: ${trauma.reasons.map(r => r.text).join(' • ')}</div>`
+            : '';
+
+        const disposition = record.disposition && DISPOSITIONS[record.disposition.status]
+            ? `<div class="meta">${describeDisposition(record.disposition, (record.milestones || {}).departScene)}</div>`
+            : '';
+
+        const row = document.createElement('div');
+        row.className = `dashboard-row ${status.overdue ? 'overdue' : ''} ${id === currentPatientId ? 'active' : ''}`;
+        row.innerHTML = `
+            <div><strong>${name}</strong>${priority}</div>
+            ${disposition}
+            <div class="meta">Vitals: ${ago(minutesSince(status.lastVitals))} • GCS: ${ago(minutesSince(status.lastGcs))}${status.dueInSeconds !== null ? ' • ' + formatCountdown(status) : ''}</div>
+            ${traumaFlag}
+        `;
+        row.onclick = () => {
+            switchPatient(id);
+            renderDashboard();
+        };
+        listEl.appendChild(row);
+    });
+}
@@ -0,0 +1,153 @@
+/**
+ * Disposition Module
+ * Where each patient went (transported, released, refused, deceased, handed over) with destination,
+ * transporting unit, crew and departure time, and a scene-wide tally that accounts for every patient
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler, registerPatientStatus, renderPatientList } from './patient.js';
+import { given, readValues, renderFieldMessages } from './validation.js';
+import { nowTimestamp, getValue, setValue, toDateTimeLocal, formatClock } from './utils.js';
+
+// `departed`: the patient has left the scene (greyed and grouped last in the patient list)
+export const DISPOSITIONS = {
+    transported: { label: 'Transported', departed: true },
+    'handed-over': { label: 'Handed to another unit', departed: true },
+    released: { label: 'Treated and released', departed: true },
+    refused: { label: 'Refused treatment/transport', departed: true },
+    deceased: { label: 'Deceased', departed: false }
+};
+
+/**
+ * Whether reassessment timing has stopped for a disposition: the patient has left the scene or has died
+ */
+export function reassessmentEnded(value) {
+    const disposition = value ? DISPOSITIONS[value.status] : null;
+    return !!disposition && (disposition.departed || value.status === 'deceased');
+}
+
+// Patients without a disposition are still being treated on scene
+export const NO_DISPOSITION = 'On scene';
+
+// Current patient's disposition
+let disposition = {};
+
+export function getDisposition() { return disposition; }
+
+/**
+ * Disposition as one line, e.g. "Transported to St Mary's by Medic 12 (crew: Smith, Jones), departed 14:32"
+ * @param {Object} value - stored disposition
+ * @param {string} [departScene] - the patient's "depart scene" milestone, used when no departure time was entered
+ */
+export function describeDisposition(value, departScene = '') {
+    if (!value || !DISPOSITIONS[value.status]) return NO_DISPOSITION;
+    let text = DISPOSITIONS[value.status].label;
+    if (value.destination) text += ` to ${value.destination}`;
+    if (value.unit) text += ` by ${value.unit}`;
+    if (value.crew) text += ` (crew: ${value.crew})`;
+    const departure = value.departureIso || departScene;
+    if (departure && DISPOSITIONS[value.status].departed) text += `, departed ${formatClock(departure)}`;
+    return text;
+}
+
+/**
+ * Number of patients per disposition; every patient is counted once (NO_DISPOSITION when none)
+ * @param {Object} records - patient id -> record
+ * @returns {Array<{label: string, count: number}>} non-zero counts, on-scene first
+ */
+export function countDispositions(records) {
+    const counts = {};
+    Object.values(records || {}).forEach(record => {
+        const status = record.disposition && DISPOSITIONS[record.disposition.status] ? record.disposition.status : '';
+        counts[status] = (counts[status] || 0) + 1;
+    });
+    return ['', ...Object.keys(DISPOSITIONS)]
+        .filter(status => counts[status])
+        .map(status => ({ label: status ? DISPOSITIONS[status].label : NO_DISPOSITION, count: counts[status] }));
+}
+
+/**
+ * Load the disposition for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    disposition = { ...((record && record.disposition) || {}) };
+}
+
+/**
+ * Persist the disposition into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistDisposition() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].disposition = { ...disposition };
+        saveToLocalStorage();
+    }
+}
+
+export function setDisposition(value) {
+    disposition = { ...(value || {}) };
+    renderDisposition();
+}
+
+// Keep the disposition in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.disposition = { ...disposition }; },
+    load: record => setDisposition(record.disposition)
+});
+
+// Grey out and group patients who have left the scene
+registerPatientStatus(record => {
+    const value = record.disposition;
+    if (!value || !DISPOSITIONS[value.status]) return null;
+    return { label: DISPOSITIONS[value.status].label, departed: DISPOSITIONS[value.status].departed };
+});
+
+/**
+ * Validate the disposition inputs, showing messages inline: a departure time in the future is rejected,
+ * a transport without destination or unit is only flagged
+ * @returns {boolean} true when the values can be stored
+ */
+function checkDispositionInputs() {
+    const values = readValues(['disposition-status', 'disposition-destination', 'disposition-unit', 'disposition-departure']);
+    const errors = {};
+    const warnings = {};
+    if (given(values['disposition-departure']) && new Date(values['disposition-departure']).getTime() > Date.now() + 60000) {
+        errors['disposition-departure'] = 'Departure time cannot be in the future';
+    }
+    if (values['disposition-status'] === 'transported') {
+        if (!given(values['disposition-destination'])) warnings['disposition-destination'] = 'Add the destination facility';
+        if (!given(values['disposition-unit'])) warnings['disposition-unit'] = 'Add the transporting unit';
+    }
+    renderFieldMessages(['disposition-destination', 'disposition-unit', 'disposition-departure'], errors, warnings);
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Read the disposition inputs when any of them changes
+ */
+export function dispositionChanged() {
+    if (!checkDispositionInputs()) return;
+    const departure = getValue('disposition-departure');
+    disposition = {
+        status: getValue('disposition-status'),
+        destination: getValue('disposition-destination'),
+        unit: getValue('disposition-unit'),
+        crew: getValue('disposition-crew'),
+        departureIso: departure ? new Date(departure).toISOString() : '',
+        updated: nowTimestamp()
+    };
+    persistDisposition();
+    renderPatientList();
+}
+
+/**
+ * Fill the disposition inputs for the current patient
+ */
+export function renderDisposition() {
+    setValue('disposition-status', disposition.status || '');
+    setValue('disposition-destination', disposition.destination || '');
+    setValue('disposition-unit', disposition.unit || '');
+    setValue('disposition-crew', disposition.crew || '');
+    setValue('disposition-departure', disposition.departureIso ? toDateTimeLocal(disposition.departureIso) : '');
+}
@@ -4,8 +4,14 @@
  */
 
 // Import patient management
-import { patientInfo, currentPatientId, patients, saveToLocalStorage } from './patient.js';
-import { nowTimestamp } from './utils.js';
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { renderVitalsLog, renderVitalsChart } from './vitals.js';
+import { renderTrendAlerts } from './trends.js';
+import { refreshTraumaTriage } from './mechanism.js';
+import { registerCorrectableLog, renderCorrectionControls } from './corrections.js';
+import { checkGcsForm, clearGcsValidation, validateGcsEntry } from './validation.js';
+import { GCS_VARIANTS, gcsOptions, usesPaediatricGcs, gcsTotal, isCompleteGcs, gcsScoreLabel, gcsComponentsLabel, formatGcs } from './gcsscale.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, entryTimeLabel, sortByObserved } from './utils.js';
 
 // Global GCS data
 let gcsLog = []; // newest first
@@ -14,11 +20,11 @@ export function getGcsLog() { return gcsLog; }
 
 
 /**
- * Load GCS data from localStorage
+ * Load GCS data for the current patient (patients are persisted by patient.js)
  */
 export function loadFromLocalStorage() {
-    const savedGCS = localStorage.getItem('gcsLog');
-    if (savedGCS) gcsLog = JSON.parse(savedGCS);
+    const record = getCurrentPatientRecord();
+    gcsLog = record && Array.isArray(record.gcs) ? [...record.gcs] : [];
 }
 
 /**
@@ -37,31 +43,105 @@ export function setGcsLog(arr) {
     renderGcsLog();
 }
 
+// Keep the GCS log in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.gcs = [...gcsLog]; },
+    load: record => {
+        setGcsLog(record.gcs);
+        syncGcsVariant(record.info ? record.info.age : '');
+    }
+});
+
+// GCS entries can be corrected or voided from the log
+registerCorrectableLog('gcs', {
+    label: 'GCS',
+    getLog: () => gcsLog,
+    // Only the scale's scores and T/NT can be chosen, with the descriptors of the scale the entry used
+    fields: ['eye', 'verbal', 'motor'].map(component => ({
+        key: component,
+        label: component.charAt(0).toUpperCase() + component.slice(1),
+        options: entry => gcsOptions(entry.variant, component).map(([value, label]) => [value, `${value} — ${label}`])
+    })),
+    validate: validateGcsEntry,
+    afterEdit: entry => {
+        entry.total = gcsTotal(entry);
+    },
+    save: () => {
+        persistGcs();
+        renderGcsLog();
+        renderVitalsLog();
+        renderVitalsChart();
+        renderTrendAlerts();
+        refreshTraumaTriage();
+    }
+});
+
+/**
+ * Scale selected in the GCS tab
+ */
+function selectedVariant() {
+    return GCS_VARIANTS[getValue('gcs-variant')] ? getValue('gcs-variant') : 'adult';
+}
+
+/**
+ * Render the eye/verbal/motor options for the selected scale (adult or paediatric)
+ */
+export function renderGcsOptions() {
+    const variant = selectedVariant();
+    ['eye', 'verbal', 'motor'].forEach(component => {
+        const el = q(`gcs-${component}-options`);
+        if (!el) return;
+        el.innerHTML = gcsOptions(variant, component).map(([value, label]) => `
+            <label class="gcs-option"><input type="radio" name="gcs-${component}" value="${value}"> ${label} (${value})</label>`).join('');
+    });
+}
+
+/**
+ * Select the scale that suits the patient's age (paediatric for infants) and redraw the options
+ */
+export function syncGcsVariant(age = patientInfo.age) {
+    setValue('gcs-variant', usesPaediatricGcs(age) ? 'paediatric' : 'adult');
+    renderGcsOptions();
+}
+
 /**
  * Submit GCS assessment
  */
 export function submitGCS() {
-    // calculate scores (read selected radio values)
-    const eye = parseInt(document.querySelector('input[name="gcs-eye"]:checked')?.value || 0);
-    const verbal = parseInt(document.querySelector('input[name="gcs-verbal"]:checked')?.value || 0);
-    const motor = parseInt(document.querySelector('input[name="gcs-motor"]:checked')?.value || 0);
-    const total = (eye||0) + (verbal||0) + (motor||0);
-    
+    // Every component needs a response (or to be marked not testable)
+    if (!checkGcsForm()) return;
+
+    // read selected radio values; T/NT are kept as written and add nothing to the total
+    const read = name => {
+        const value = document.querySelector(`input[name="${name}"]:checked`)?.value || '';
+        return value === 'T' || value === 'NT' ? value : parseInt(value);
+    };
     const item = { 
         time: nowTimestamp(), 
         iso: new Date().toISOString(), 
-        eye, verbal, motor, total 
+        ...readObservedTime('gcs-observed'),
+        eye: read('gcs-eye'),
+        verbal: read('gcs-verbal'),
+        motor: read('gcs-motor'),
+        variant: selectedVariant()
     };
+    item.total = gcsTotal(item);
     
     gcsLog.unshift(item);
+    sortByObserved(gcsLog);
     if (gcsLog.length > 200) gcsLog.length = 200;
 
     // Update display (defensive)
     const totalEl = document.getElementById('gcs-total');
-    if (totalEl) totalEl.innerText = `Total GCS Score: ${total} / 15 (E${eye} V${verbal} M${motor})`;
+    if (totalEl) totalEl.innerText = `Total GCS Score: ${formatGcs(item)}`;
     
     persistGcs();
     renderGcsLog();
+    // NEWS2 in the vitals log takes its consciousness score from the GCS
+    renderVitalsLog();
+    renderVitalsChart();
+    renderTrendAlerts();
+    refreshTraumaTriage();
     clearGCSInputs();
 }
 
@@ -77,6 +157,8 @@ export function clearGCSInputs() {
     });
     
     const totalEl = document.getElementById('gcs-total'); if (totalEl) totalEl.innerText = 'Total GCS Score: 0 / 15';
+    setValue('gcs-observed', '');
+    clearGcsValidation();
 }
 
 /**
@@ -91,12 +173,15 @@ export function renderGcsLog() {
         return;
     }
     
-    gcsLog.forEach(item => {
-        const gcsClass = item.total <= 8 ? 'vital-value-critical' : 
+    gcsLog.forEach((item, index) => {
+        // A total with untested components is not out of 15, so it is not colour-graded
+        const gcsClass = !isCompleteGcs(item) ? '' :
+                        item.total <= 8 ? 'vital-value-critical' : 
                         item.total <= 12 ? 'vital-value-abnormal' : 'vital-value-normal';
+        const scale = item.variant === 'paediatric' ? ' — Paediatric' : '';
         const div = document.createElement('div');
-        div.className = 'log-item';
-        div.innerHTML = `<div><strong>${item.time}</strong> — Total: <span class="${gcsClass}">${item.total}</span>/15 (E${item.eye} V${item.verbal} M${item.motor})</div>`;
+        div.className = item.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(item)}</strong> — Total: <span class="${gcsClass}">${gcsScoreLabel(item)}</span>${isCompleteGcs(item) ? '/15' : ''} (${gcsComponentsLabel(item)})${scale}</div>${renderCorrectionControls('gcs', index, item)}`;
         el.appendChild(div);
     });
 }
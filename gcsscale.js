@@ -0,0 +1,110 @@
+/**
+ * GCS Scale Module
+ * Adult and paediatric GCS descriptors, not-testable components and score formatting
+ */
+
+import { parseAgeYears } from './ranges.js';
+
+// The paediatric (preverbal) scale is the default below this age (years)
+export const PAEDIATRIC_GCS_MAX_AGE = 2;
+
+export const GCS_MAX = { eye: 4, verbal: 5, motor: 6 };
+
+// Descriptors per variant and component, highest score first
+export const GCS_VARIANTS = {
+    adult: {
+        label: 'Adult',
+        eye: [[4, 'Spontaneous'], [3, 'To Speech'], [2, 'To Pain'], [1, 'No Response']],
+        verbal: [[5, 'Orientated'], [4, 'Confused'], [3, 'Inappropriate Words'], [2, 'Incomprehensible Sounds'], [1, 'No Response']],
+        motor: [[6, 'Obeys Commands'], [5, 'Localises to Pain'], [4, 'Withdraws from Pain'], [3, 'Flexion to Pain (decorticate)'], [2, 'Extension to Pain (decerebrate)'], [1, 'No Response']]
+    },
+    paediatric: {
+        label: 'Paediatric',
+        eye: [[4, 'Spontaneous'], [3, 'To Sound'], [2, 'To Pain'], [1, 'No Response']],
+        verbal: [[5, 'Coos, babbles, smiles'], [4, 'Irritable cry, consolable'], [3, 'Cries to Pain'], [2, 'Moans to Pain'], [1, 'No Response']],
+        motor: [[6, 'Moves spontaneously and purposefully'], [5, 'Withdraws to Touch'], [4, 'Withdraws from Pain'], [3, 'Abnormal Flexion (decorticate)'], [2, 'Abnormal Extension (decerebrate)'], [1, 'No Response']]
+    }
+};
+
+// Components that could not be scored: 'T' (intubated) for verbal, 'NT' (not testable) for any
+export const GCS_NOT_SCORED = {
+    eye: [['NT', 'Not testable, e.g. eyes swollen shut']],
+    verbal: [['T', 'Intubated'], ['NT', 'Not testable, e.g. aphasia']],
+    motor: [['NT', 'Not testable, e.g. paralysed or sedated']]
+};
+
+const COMPONENTS = [['eye', 'E'], ['verbal', 'V'], ['motor', 'M']];
+
+/**
+ * Whether an age entry defaults to the paediatric GCS
+ */
+export function usesPaediatricGcs(age) {
+    const years = parseAgeYears(age);
+    return !isNaN(years) && years < PAEDIATRIC_GCS_MAX_AGE;
+}
+
+/**
+ * Radio options for one component: the variant's descriptors followed by T/NT
+ * @returns {Array<[number|string, string]>} [value, label]
+ */
+export function gcsOptions(variant, component) {
+    const scale = GCS_VARIANTS[variant] || GCS_VARIANTS.adult;
+    return [...scale[component], ...GCS_NOT_SCORED[component]];
+}
+
+/**
+ * Whether a component value is a score (not blank, T or NT)
+ */
+function isScored(value) {
+    return value !== '' && value !== null && value !== undefined && !isNaN(Number(value));
+}
+
+/**
+ * Sum of the scored components (T/NT components add nothing)
+ */
+export function gcsTotal(item) {
+    return COMPONENTS.reduce((sum, [key]) => sum + (isScored(item[key]) ? Number(item[key]) : 0), 0);
+}
+
+/**
+ * Whether all three components were scored, so the total is out of 15
+ */
+export function isCompleteGcs(item) {
+    return !!item && COMPONENTS.every(([key]) => isScored(item[key]));
+}
+
+/**
+ * Whether consciousness is below normal: true when any scored component is below its maximum,
+ * false for a full 15, null when untested components leave it unknown
+ */
+export function gcsBelowNormal(item) {
+    if (!item) return null;
+    if (COMPONENTS.some(([key]) => isScored(item[key]) && Number(item[key]) < GCS_MAX[key])) return true;
+    return isCompleteGcs(item) ? false : null;
+}
+
+/**
+ * Components as written, e.g. "E3 VT M5"
+ */
+export function gcsComponentsLabel(item) {
+    return COMPONENTS.map(([key, letter]) => `${letter}${item[key]}`).join(' ');
+}
+
+/**
+ * Score as written, e.g. "15", "8T" (intubated) or "10 (eye NT)"
+ */
+export function gcsScoreLabel(item) {
+    let label = String(gcsTotal(item));
+    if (item.verbal === 'T') label += 'T';
+    const untested = COMPONENTS.filter(([key]) => item[key] === 'NT').map(([key]) => key);
+    if (untested.length) label += ` (${untested.join(', ')} NT)`;
+    return label;
+}
+
+/**
+ * Full GCS, e.g. "E3 VT M5 = 8T" or "E4 V5 M6 = 15/15 (paediatric)"
+ */
+export function formatGcs(item) {
+    const score = isCompleteGcs(item) ? `${gcsScoreLabel(item)}/15` : gcsScoreLabel(item);
+    return `${gcsComponentsLabel(item)} = ${score}${item.variant === 'paediatric' ? ' (paediatric)' : ''}`;
+}
@@ -0,0 +1,38 @@
+/**
+ * Haemodynamics Module
+ * Values derived from a vitals entry's blood pressure and pulse
+ */
+
+import { getAgeBand, parseAgeYears } from './ranges.js';
+
+/**
+ * Derive MAP, shock index, age-adjusted shock index and pulse pressure from a vitals entry
+ * @param {Object} vitals - vitals entry (bpSys, bpDia, pulse)
+ * @param {string} age - patient age as entered; the age shock index (age x SI) is for adults only,
+ *                       children's shock index is already graded against age-specific cut-offs
+ * @returns {{map: number|null, shockIndex: number|null, ageShockIndex: number|null, pulsePressure: number|null}}
+ */
+export function calculateHaemodynamics(vitals, age) {
+    const sys = parseFloat(vitals.bpSys);
+    const dia = parseFloat(vitals.bpDia);
+    const pulse = parseFloat(vitals.pulse);
+    const years = parseAgeYears(age);
+
+    const hasBp = !isNaN(sys) && !isNaN(dia);
+    const shockIndex = !isNaN(pulse) && sys > 0 ? Math.round((pulse / sys) * 100) / 100 : null;
+    const isAdult = !isNaN(years) && getAgeBand(age).key === 'adult';
+
+    return {
+        map: hasBp ? Math.round((sys + 2 * dia) / 3) : null,
+        shockIndex,
+        ageShockIndex: shockIndex !== null && isAdult ? Math.round(years * shockIndex) : null,
+        pulsePressure: hasBp ? sys - dia : null
+    };
+}
+
+/**
+ * Whether any derived value could be calculated
+ */
+export function hasHaemodynamics(derived) {
+    return Object.values(derived).some(value => value !== null);
+}
@@ -0,0 +1,251 @@
+/**
+ * Mechanism Module
+ * Structured mechanism of injury evaluated with the latest vitals and GCS against field trauma
+ * triage criteria, giving a "meets trauma-centre criteria" flag with its reasons (injured patients only)
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { parseAgeYears } from './ranges.js';
+import { activeEntries } from './corrections.js';
+import { checkLimits, readValues, renderFieldMessages } from './validation.js';
+import { nowTimestamp, getValue, setValue, q } from './utils.js';
+
+// Falls from above this height (m) meet the mechanism criteria at any age
+export const FALL_HEIGHT_M = 3;
+
+export const PENETRATING_REGIONS = [
+    { key: 'head', label: 'Head' },
+    { key: 'neck', label: 'Neck' },
+    { key: 'torso', label: 'Torso' },
+    { key: 'proximal-limb', label: 'Limb above elbow/knee' },
+    { key: 'distal-limb', label: 'Limb below elbow/knee' }
+];
+
+// Penetrating injury to these regions is an injury-pattern criterion
+const HIGH_RISK_PENETRATING = ['head', 'neck', 'torso', 'proximal-limb'];
+
+// Checkbox mechanisms: [field, input id, description]
+const VEHICLE_MECHANISMS = [
+    ['intrusion', 'moi-intrusion', 'Vehicle intrusion >30 cm at occupant site or >45 cm anywhere'],
+    ['ejection', 'moi-ejection', 'Partial or complete ejection'],
+    ['extrication', 'moi-extrication', 'Entrapped, needing extrication'],
+    ['rider', 'moi-rider', 'Rider separated from motorcycle, bicycle or horse with significant impact']
+];
+
+// Fall height (m): values outside `hard` are rejected, outside `soft` only flagged
+export const MECHANISM_LIMITS = {
+    'moi-fall-height': { label: 'Fall height', hard: [0, 1000], soft: [0, 100] }
+};
+
+export const PEDESTRIAN = {
+    struck: 'Pedestrian struck',
+    significant: 'Pedestrian/cyclist thrown, run over or struck with significant impact'
+};
+
+// Mechanism of injury for the current patient
+let mechanism = emptyMechanism();
+
+function emptyMechanism() {
+    return { traumaPatient: false, fallHeightM: '', intrusion: false, ejection: false, extrication: false, rider: false, pedestrian: '', penetrating: [], updated: '' };
+}
+
+export function getMechanism() { return mechanism; }
+
+/**
+ * Mechanism findings as text, e.g. ["Fall from 4 m", "Partial or complete ejection"]
+ */
+export function describeMechanism(moi) {
+    if (!moi) return [];
+    const parts = [];
+    if (moi.fallHeightM !== '' && moi.fallHeightM !== undefined) parts.push(`Fall from ${moi.fallHeightM} m`);
+    VEHICLE_MECHANISMS.forEach(([field, , text]) => { if (moi[field]) parts.push(text); });
+    if (moi.pedestrian) parts.push(PEDESTRIAN[moi.pedestrian] || moi.pedestrian);
+    const penetrating = PENETRATING_REGIONS.filter(r => (moi.penetrating || []).includes(r.key)).map(r => r.label.toLowerCase());
+    if (penetrating.length) parts.push(`Penetrating injury: ${penetrating.join(', ')}`);
+    return parts;
+}
+
+/**
+ * Most recent recorded value of a field across the active entries of a log
+ */
+function latestValue(log, field) {
+    const entry = activeEntries(log).find(e => e[field] !== '' && e[field] !== undefined && e[field] !== null && !isNaN(Number(e[field])));
+    return entry ? { value: Number(entry[field]), entry } : null;
+}
+
+/**
+ * Whether field trauma triage applies: the patient is marked as a trauma patient or has a recorded
+ * mechanism, body-map injury or burn
+ */
+export function isInjuredPatient(record) {
+    if (!record) return false;
+    const moi = record.mechanism || {};
+    return !!moi.traumaPatient
+        || describeMechanism(moi).length > 0
+        || activeEntries(record.injuries).length > 0
+        || Object.keys((record.burns && record.burns.regions) || {}).length > 0;
+}
+
+/**
+ * Physiological criteria from the latest vitals and GCS
+ * @returns {string[]} reasons
+ */
+function physiologicalReasons(record) {
+    const reasons = [];
+    const vitals = record.vitals || [];
+    const years = parseAgeYears(record.info ? record.info.age : '');
+
+    const motor = latestValue(record.gcs || [], 'motor');
+    if (motor && motor.value < 6) reasons.push(`Unable to follow commands (GCS motor ${motor.value})`);
+
+    const rr = latestValue(vitals, 'rrate');
+    if (rr && (rr.value < 10 || rr.value > 29)) reasons.push(`Respiratory rate ${rr.value}/min`);
+
+    const spo2 = latestValue(vitals, 'spo2');
+    if (spo2 && !spo2.entry.o2Delivery && spo2.value < 90) reasons.push(`SpO₂ ${spo2.value}% on room air`);
+
+    // Hypotension threshold by age; shock index above 1 (pulse above systolic) from age 10
+    const sbp = latestValue(vitals, 'bpSys');
+    if (sbp) {
+        let limit = 90;
+        if (!isNaN(years) && years < 10) limit = 70 + 2 * Math.floor(years);
+        else if (years >= 65) limit = 110;
+        if (sbp.value < limit) reasons.push(`Systolic BP ${sbp.value} mmHg (below ${limit})`);
+
+        const pulse = latestValue(vitals, 'pulse');
+        if ((isNaN(years) || years >= 10) && pulse && pulse.entry === sbp.entry && pulse.value > sbp.value) {
+            reasons.push(`Pulse ${pulse.value} above systolic BP ${sbp.value}`);
+        }
+    }
+    return reasons;
+}
+
+/**
+ * Evaluate a patient record against the field trauma triage criteria
+ * @param {Object} record - patient record ({ info, vitals, gcs, mechanism, injuries, burns })
+ * @returns {{meets: boolean, level: string|null, reasons: Array<{level: string, text: string}>}}
+ *   level 'red' (injury pattern or physiology: highest-level trauma centre) or 'yellow' (mechanism only)
+ */
+export function evaluateTraumaCriteria(record) {
+    const moi = (record && record.mechanism) || {};
+    const reasons = [];
+
+    (moi.penetrating || []).filter(key => HIGH_RISK_PENETRATING.includes(key)).forEach(key => {
+        reasons.push({ level: 'red', text: `Penetrating injury to ${PENETRATING_REGIONS.find(r => r.key === key).label.toLowerCase()}` });
+    });
+    // Abnormal physiology alone is not trauma: a medical patient never meets the criteria
+    if (isInjuredPatient(record)) physiologicalReasons(record).forEach(text => reasons.push({ level: 'red', text }));
+
+    const height = parseFloat(moi.fallHeightM);
+    if (!isNaN(height) && height > FALL_HEIGHT_M) reasons.push({ level: 'yellow', text: `Fall from ${height} m (over ${FALL_HEIGHT_M} m)` });
+    VEHICLE_MECHANISMS.forEach(([field, , text]) => { if (moi[field]) reasons.push({ level: 'yellow', text }); });
+    if (moi.pedestrian === 'significant') reasons.push({ level: 'yellow', text: PEDESTRIAN.significant });
+
+    const level = reasons.some(r => r.level === 'red') ? 'red' : (reasons.length ? 'yellow' : null);
+    return { meets: reasons.length > 0, level, reasons };
+}
+
+/**
+ * Flag text for an evaluation, e.g. "MEETS TRAUMA-CENTRE CRITERIA (highest level)"
+ */
+export function traumaFlagLabel(result) {
+    if (!result || !result.meets) return 'Does not meet trauma-centre criteria';
+    return `MEETS TRAUMA-CENTRE CRITERIA${result.level === 'red' ? ' (highest level)' : ' (mechanism)'}`;
+}
+
+/**
+ * Load the mechanism for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    mechanism = { ...emptyMechanism(), ...((record && record.mechanism) || {}) };
+}
+
+/**
+ * Store the mechanism and the current evaluation on the patient record
+ */
+function storeMechanism(record) {
+    record.mechanism = { ...mechanism, penetrating: [...mechanism.penetrating] };
+    record.traumaTriage = { ...evaluateTraumaCriteria({ ...record, info: patientInfo }), time: nowTimestamp() };
+}
+
+/**
+ * Persist the mechanism into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistMechanism() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        storeMechanism(patients[currentPatientId]);
+        saveToLocalStorage();
+    }
+}
+
+export function setMechanism(value) {
+    mechanism = { ...emptyMechanism(), ...(value || {}) };
+    renderMechanism();
+}
+
+// Keep the mechanism in step with the selected patient
+registerPatientRecordHandler({
+    save: record => storeMechanism(record),
+    load: record => setMechanism(record.mechanism)
+});
+
+/**
+ * Validate the mechanism inputs, showing messages inline (extreme heights are only flagged)
+ * @returns {boolean} true when the values can be stored
+ */
+function checkMechanismInputs() {
+    const errors = {};
+    const warnings = {};
+    checkLimits(MECHANISM_LIMITS, readValues(Object.keys(MECHANISM_LIMITS)), errors, warnings);
+    renderFieldMessages(Object.keys(MECHANISM_LIMITS), errors, warnings);
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Read the mechanism inputs when any of them changes
+ */
+export function mechanismChanged() {
+    if (!checkMechanismInputs()) return;
+    mechanism.traumaPatient = getValue('moi-trauma-patient', false);
+    mechanism.fallHeightM = getValue('moi-fall-height');
+    VEHICLE_MECHANISMS.forEach(([field, id]) => { mechanism[field] = getValue(id, false); });
+    mechanism.pedestrian = getValue('moi-pedestrian');
+    mechanism.penetrating = PENETRATING_REGIONS.filter(r => getValue(`moi-penetrating-${r.key}`, false)).map(r => r.key);
+    mechanism.updated = nowTimestamp();
+    refreshTraumaTriage();
+}
+
+/**
+ * Re-evaluate the criteria after the mechanism, vitals, GCS or age change, store the result and show it
+ */
+export function refreshTraumaTriage() {
+    persistMechanism();
+    renderTraumaTriage();
+}
+
+/**
+ * Show the flag and its reasons for the current patient
+ */
+export function renderTraumaTriage() {
+    const el = q('trauma-triage');
+    if (!el) return;
+    const record = { ...(getCurrentPatientRecord() || {}), info: patientInfo, mechanism };
+    const result = evaluateTraumaCriteria(record);
+    el.className = result.meets ? `alert-banner ${result.level === 'red' ? 'alert-red' : 'alert-amber'}` : 'alert-banner alert-none';
+    el.textContent = result.meets ? `🚑 ${traumaFlagLabel(result)} — ${result.reasons.map(r => r.text).join(' • ')}` : '';
+}
+
+/**
+ * Fill the inputs from the current mechanism and show the flag
+ */
+export function renderMechanism() {
+    setValue('moi-trauma-patient', !!mechanism.traumaPatient);
+    setValue('moi-fall-height', mechanism.fallHeightM);
+    VEHICLE_MECHANISMS.forEach(([field, id]) => setValue(id, mechanism[field]));
+    setValue('moi-pedestrian', mechanism.pedestrian);
+    PENETRATING_REGIONS.forEach(r => setValue(`moi-penetrating-${r.key}`, mechanism.penetrating.includes(r.key)));
+    renderTraumaTriage();
+}
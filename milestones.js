@@ -0,0 +1,166 @@
+/**
+ * Milestones Module
+ * One-tap operational time stamps (call received to handover) with response, scene and transport
+ * intervals and a warning when a P1 patient's scene time exceeds the scene's "platinum ten minutes" target
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { getCurrentScene, getSceneSettings, updateSceneMilestones } from './scene.js';
+import { q, parseClockTime, formatClock } from './utils.js';
+
+// In order; 'scene' milestones are shared by every patient on the scene, 'patient' ones are per patient
+export const MILESTONES = [
+    { key: 'call', label: 'Call received', scope: 'scene' },
+    { key: 'enRoute', label: 'En route', scope: 'scene' },
+    { key: 'onScene', label: 'On scene', scope: 'scene' },
+    { key: 'patientContact', label: 'Patient contact', scope: 'patient' },
+    { key: 'departScene', label: 'Depart scene', scope: 'patient' },
+    { key: 'arriveHospital', label: 'Arrive hospital', scope: 'patient' },
+    { key: 'handover', label: 'Handover complete', scope: 'patient' }
+];
+
+export const INTERVALS = [
+    { key: 'response', label: 'Response time', from: 'call', to: 'onScene' },
+    { key: 'scene', label: 'Scene time', from: 'onScene', to: 'departScene' },
+    { key: 'transport', label: 'Transport time', from: 'departScene', to: 'arriveHospital' },
+    { key: 'handover', label: 'Time to handover', from: 'arriveHospital', to: 'handover' }
+];
+
+// Current patient's milestone times: key -> ISO
+let patientMilestones = {};
+
+export function getPatientMilestones() { return patientMilestones; }
+
+/**
+ * Milestone times of a patient on a scene: key -> ISO
+ * @param {Object} record - patient record ({ milestones })
+ * @param {Object} [scene] - scene the patient belongs to
+ */
+export function milestoneTimes(record, scene) {
+    return { ...((scene && scene.milestones) || {}), ...((record && record.milestones) || {}) };
+}
+
+/**
+ * Intervals between milestones; an interval whose end is not stamped yet runs up to now
+ * @returns {Array<{key, label, minutes: number, running: boolean}>} only intervals that have started
+ */
+export function calculateIntervals(times, now = Date.now()) {
+    return INTERVALS.filter(i => times[i.from]).map(i => {
+        const end = times[i.to] ? new Date(times[i.to]).getTime() : now;
+        return { key: i.key, label: i.label, minutes: Math.round((end - new Date(times[i.from]).getTime()) / 60000), running: !times[i.to] };
+    });
+}
+
+/**
+ * "Scene time 14 min (running)" style text; negative intervals mean a time was stamped out of order
+ */
+export function describeInterval(interval) {
+    if (interval.minutes < 0) return `${interval.label}: check times (ends before it starts)`;
+    return `${interval.label}: ${interval.minutes} min${interval.running ? ' (running)' : ''}`;
+}
+
+/**
+ * Warning text when a P1 patient's scene time is over the scene's target, or ''
+ * @param {Object} [settings] - scene settings; the active scene's when omitted
+ */
+export function platinumWarning(info, times, settings = getSceneSettings(), now = Date.now()) {
+    if (!info || info.priority !== 'P1') return '';
+    const scene = calculateIntervals(times, now).find(i => i.key === 'scene');
+    const target = settings.platinumMinutes;
+    if (!scene || !target || scene.minutes <= target) return '';
+    return `P1 scene time ${scene.minutes} min${scene.running ? ' and counting' : ''} — over the ${target} min platinum target`;
+}
+
+/**
+ * Load milestones for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    patientMilestones = { ...((record && record.milestones) || {}) };
+}
+
+/**
+ * Persist milestones into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistMilestones() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].milestones = { ...patientMilestones };
+        saveToLocalStorage();
+    }
+}
+
+export function setPatientMilestones(value) {
+    patientMilestones = { ...(value || {}) };
+    renderMilestones();
+}
+
+// Keep the patient's milestones in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.milestones = { ...patientMilestones }; },
+    load: record => setPatientMilestones(record.milestones)
+});
+
+/**
+ * Store a milestone time (null clears it) on the scene or the patient
+ */
+function setMilestone(milestone, iso) {
+    if (milestone.scope === 'scene') {
+        updateSceneMilestones({ [milestone.key]: iso });
+    } else {
+        if (iso) patientMilestones[milestone.key] = iso;
+        else delete patientMilestones[milestone.key];
+        persistMilestones();
+    }
+}
+
+/**
+ * Stamp a milestone now; tapping a stamped milestone lets its time be corrected or cleared
+ */
+export function tapMilestone(key) {
+    const milestone = MILESTONES.find(m => m.key === key);
+    if (!milestone) return;
+    const current = milestoneTimes({ milestones: patientMilestones }, getCurrentScene())[key];
+
+    if (!current) {
+        setMilestone(milestone, new Date().toISOString());
+    } else {
+        const value = prompt(`${milestone.label} time (HH:MM). Clear the box to remove it:`, formatClock(current));
+        if (value === null) return;
+        if (value.trim() === '') {
+            if (!confirm(`Remove the ${milestone.label.toLowerCase()} time?`)) return;
+            setMilestone(milestone, null);
+        } else {
+            const d = parseClockTime(value);
+            if (!d) return;
+            setMilestone(milestone, d.toISOString());
+        }
+    }
+    renderMilestones();
+}
+
+/**
+ * Render the milestone bar, the intervals and the platinum ten minutes warning
+ */
+export function renderMilestones() {
+    const times = milestoneTimes({ milestones: patientMilestones }, getCurrentScene());
+
+    const bar = q('milestone-bar');
+    if (bar) {
+        bar.innerHTML = MILESTONES.map(m => `
+            <button class="milestone ${times[m.key] ? 'done' : ''}" onclick="tapMilestone('${m.key}')" title="${m.scope === 'scene' ? 'Whole scene' : 'This patient'}">
+              ${m.label}<span>${times[m.key] ? formatClock(times[m.key]) : '—'}</span>
+            </button>`).join('');
+    }
+
+    const intervals = q('milestone-intervals');
+    if (intervals) intervals.textContent = calculateIntervals(times).map(describeInterval).join(' • ');
+
+    const banner = q('milestone-alert');
+    if (banner) {
+        const warning = platinumWarning(patientInfo, times);
+        banner.className = warning ? 'alert-banner alert-red' : 'alert-banner alert-none';
+        banner.textContent = warning ? `⏱️ ${warning}` : '';
+    }
+}
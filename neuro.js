@@ -0,0 +1,286 @@
+/**
+ * Neuro Module
+ * AVPU, per-eye pupil assessment and limb power/sensation, with alerts for new pupil changes
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { registerCorrectableLog, renderCorrectionControls, activeEntries } from './corrections.js';
+import { checkLimits, finishFormCheck, given, readValues, renderFieldMessages, setFormError } from './validation.js';
+import { renderVitalsLog, renderVitalsChart } from './vitals.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, entryTimeLabel, sortByObserved } from './utils.js';
+
+export const AVPU = {
+    A: 'Alert',
+    V: 'Responds to voice',
+    P: 'Responds to pain',
+    U: 'Unresponsive'
+};
+
+export const PUPIL_REACTIVITY = {
+    brisk: 'Brisk',
+    sluggish: 'Sluggish',
+    fixed: 'Fixed'
+};
+
+// Pupils differing by this much (mm) or more are unequal
+export const ANISOCORIA_MM = 1;
+
+const EYES = [
+    { key: 'Left', id: 'left', label: 'Left' },
+    { key: 'Right', id: 'right', label: 'Right' }
+];
+
+export const LIMBS = [
+    { key: 'leftArm', id: 'left-arm', label: 'Left arm', short: 'LA' },
+    { key: 'rightArm', id: 'right-arm', label: 'Right arm', short: 'RA' },
+    { key: 'leftLeg', id: 'left-leg', label: 'Left leg', short: 'LL' },
+    { key: 'rightLeg', id: 'right-leg', label: 'Right leg', short: 'RL' }
+];
+
+// Pupil sizes (mm): values outside `hard` are rejected, outside `soft` need confirming
+export const NEURO_LIMITS = {
+    'pupil-left-size': { label: 'Left pupil', hard: [1, 10], soft: [1.5, 8] },
+    'pupil-right-size': { label: 'Right pupil', hard: [1, 10], soft: [1.5, 8] }
+};
+
+// Form inputs by entry field; any of them counts as a finding
+const NEURO_FIELDS = {
+    avpu: 'neuro-avpu',
+    ...Object.fromEntries(EYES.flatMap(e => [
+        [`pupil${e.key}Size`, `pupil-${e.id}-size`],
+        [`pupil${e.key}Reactivity`, `pupil-${e.id}-reactivity`],
+        [`pupil${e.key}Shape`, `pupil-${e.id}-shape`]
+    ])),
+    ...Object.fromEntries(LIMBS.flatMap(l => [
+        [`${l.key}Power`, `limb-${l.id}-power`],
+        [`${l.key}Sensation`, `limb-${l.id}-sensation`]
+    ]))
+};
+
+// Global neuro data
+let neuroLog = []; // newest first
+
+export function getNeuroLog() { return neuroLog; }
+
+/**
+ * Load neuro data for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    neuroLog = record && Array.isArray(record.neuro) ? [...record.neuro] : [];
+}
+
+/**
+ * Persist neuro assessments into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistNeuro() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].neuro = [...neuroLog];
+        saveToLocalStorage();
+    }
+}
+
+export function setNeuroLog(arr) {
+    neuroLog = Array.isArray(arr) ? [...arr] : [];
+    renderNeuroLog();
+}
+
+// Keep the neuro log in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.neuro = [...neuroLog]; },
+    load: record => setNeuroLog(record.neuro)
+});
+
+/**
+ * Check the pupil sizes of a stored neuro assessment against the same limits as the neuro form
+ * @param {Object} entry - neuro entry (pupilLeftSize, pupilRightSize, ...)
+ * @returns {{errors: Object, warnings: Object}} errors and warnings keyed by entry field
+ */
+export function validateNeuroEntry(entry) {
+    const fields = { pupilLeftSize: 'pupil-left-size', pupilRightSize: 'pupil-right-size' };
+    const values = {};
+    const errors = {};
+    const warnings = {};
+    Object.keys(fields).forEach(key => { values[fields[key]] = entry[key]; });
+    checkLimits(NEURO_LIMITS, values, errors, warnings);
+    const result = { errors: {}, warnings: {} };
+    Object.keys(fields).forEach(key => {
+        if (errors[fields[key]]) result.errors[key] = errors[fields[key]];
+        if (warnings[fields[key]]) result.warnings[key] = warnings[fields[key]];
+    });
+    return result;
+}
+
+/**
+ * Validate the neuro assessment form, showing messages inline; an assessment needs at least one finding
+ * @returns {boolean} true when the assessment can be submitted
+ */
+function checkNeuroForm() {
+    const inputIds = Object.values(NEURO_FIELDS);
+    const values = readValues(inputIds);
+    const errors = {};
+    const warnings = {};
+    checkLimits(NEURO_LIMITS, values, errors, warnings);
+    const empty = !inputIds.some(id => given(values[id]));
+    return finishFormCheck(NEURO_LIMITS, { errors, warnings, empty }, 'neuro-form-error', 'Record at least one finding before submitting');
+}
+
+/**
+ * Remove all neuro assessment messages (when the form is cleared)
+ */
+function clearNeuroValidation() {
+    renderFieldMessages(Object.keys(NEURO_LIMITS));
+    setFormError('neuro-form-error', '');
+}
+
+// Neuro assessments can be corrected or voided from the log
+registerCorrectableLog('neuro', {
+    label: 'neuro assessment',
+    getLog: () => neuroLog,
+    fields: [
+        { key: 'avpu', label: 'AVPU', options: [['', 'Not recorded'], ...Object.entries(AVPU).map(([key, label]) => [key, `${key} — ${label}`])] },
+        { key: 'pupilLeftSize', label: 'Left pupil (mm)' },
+        { key: 'pupilLeftReactivity', label: 'Left reactivity', options: [['', 'Not recorded'], ...Object.entries(PUPIL_REACTIVITY)] },
+        { key: 'pupilRightSize', label: 'Right pupil (mm)' },
+        { key: 'pupilRightReactivity', label: 'Right reactivity', options: [['', 'Not recorded'], ...Object.entries(PUPIL_REACTIVITY)] }
+    ],
+    validate: validateNeuroEntry,
+    save: () => {
+        refreshPupilAlerts();
+        persistNeuro();
+        renderNeuroLog();
+        // AVPU feeds the NEWS2 shown with each vitals entry
+        renderVitalsLog();
+        renderVitalsChart();
+    }
+});
+
+/**
+ * Whether an assessment has unequal pupils
+ */
+function unequalPupils(entry) {
+    const left = parseFloat(entry.pupilLeftSize);
+    const right = parseFloat(entry.pupilRightSize);
+    return !isNaN(left) && !isNaN(right) && Math.abs(left - right) >= ANISOCORIA_MM;
+}
+
+/**
+ * Pupil findings that are new since the previous assessment (any finding when there is none)
+ * @returns {string[]}
+ */
+export function pupilAlerts(entry, previous) {
+    const alerts = [];
+    if (unequalPupils(entry) && !(previous && unequalPupils(previous))) {
+        alerts.push(`New unequal pupils (L${entry.pupilLeftSize} R${entry.pupilRightSize} mm)`);
+    }
+    EYES.forEach(e => {
+        const field = `pupil${e.key}Reactivity`;
+        if (entry[field] === 'fixed' && !(previous && previous[field] === 'fixed')) alerts.push(`${e.label} pupil newly fixed`);
+    });
+    return alerts;
+}
+
+/**
+ * Recalculate each assessment's alerts against the one before it (after additions, corrections or voids)
+ */
+function refreshPupilAlerts() {
+    const active = activeEntries(neuroLog); // newest first
+    neuroLog.forEach(entry => {
+        const index = active.indexOf(entry);
+        entry.alerts = index === -1 ? [] : pupilAlerts(entry, active[index + 1]);
+    });
+}
+
+/**
+ * Findings of one assessment as display parts, e.g. ["AVPU: A", "Pupils: L 3mm brisk, R 3mm brisk", ...]
+ */
+export function describeNeuro(entry) {
+    const parts = [];
+    if (entry.avpu) parts.push(`AVPU: ${entry.avpu} (${AVPU[entry.avpu] || entry.avpu})`);
+
+    const eyes = EYES.map(e => {
+        const details = [
+            entry[`pupil${e.key}Size`] ? `${entry[`pupil${e.key}Size`]}mm` : '',
+            entry[`pupil${e.key}Reactivity`],
+            entry[`pupil${e.key}Shape`]
+        ].filter(Boolean);
+        return details.length ? `${e.key[0]} ${details.join(' ')}` : '';
+    }).filter(Boolean);
+    if (eyes.length) parts.push(`Pupils: ${eyes.join(', ')}`);
+
+    const power = LIMBS.filter(l => entry[`${l.key}Power`] !== undefined && entry[`${l.key}Power`] !== '').map(l => `${l.short} ${entry[`${l.key}Power`]}/5`);
+    if (power.length) parts.push(`Power: ${power.join(', ')}`);
+    const sensation = LIMBS.filter(l => entry[`${l.key}Sensation`]).map(l => `${l.short} ${entry[`${l.key}Sensation`]}`);
+    if (sensation.length) parts.push(`Sensation: ${sensation.join(', ')}`);
+    return parts;
+}
+
+/**
+ * Submit a neuro assessment
+ */
+export function submitNeuro() {
+    if (!checkNeuroForm()) return;
+
+    const item = {
+        time: nowTimestamp(),
+        iso: new Date().toISOString(),
+        ...readObservedTime('neuro-observed')
+    };
+    Object.keys(NEURO_FIELDS).forEach(field => { item[field] = getValue(NEURO_FIELDS[field]); });
+
+    neuroLog.unshift(item);
+    sortByObserved(neuroLog);
+    if (neuroLog.length > 200) neuroLog.length = 200;
+    refreshPupilAlerts();
+
+    persistNeuro();
+    renderNeuroLog();
+    renderVitalsLog();
+    renderVitalsChart();
+    clearNeuroInputs();
+}
+
+/**
+ * Clear neuro inputs
+ */
+export function clearNeuroInputs() {
+    Object.values(NEURO_FIELDS).forEach(id => setValue(id, ''));
+    setValue('neuro-observed', '');
+    clearNeuroValidation();
+}
+
+/**
+ * Show the latest assessment's pupil alerts in the neuro banner
+ */
+function renderNeuroAlert() {
+    const banner = q('neuro-alert');
+    if (!banner) return;
+    const latest = activeEntries(neuroLog)[0];
+    const alerts = latest && latest.alerts ? latest.alerts : [];
+    banner.className = alerts.length ? 'alert-banner alert-red' : 'alert-banner alert-none';
+    banner.textContent = alerts.length ? `⚠️ ${alerts.join(' • ')} — reassess and consider raised intracranial pressure` : '';
+}
+
+/**
+ * Render neuro log
+ */
+export function renderNeuroLog() {
+    renderNeuroAlert();
+    const el = q('neuro-log');
+    if (!el) return; // Defensive guard
+    el.innerHTML = '';
+    if (neuroLog.length === 0) {
+        el.innerHTML = '<div class="log-item meta">No neuro assessments recorded yet</div>';
+        return;
+    }
+
+    neuroLog.forEach((item, index) => {
+        const alerts = (item.alerts || []).map(a => `<div class="vital-value-critical">⚠️ ${a}</div>`).join('');
+        const div = document.createElement('div');
+        div.className = item.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(item)}</strong> — ${describeNeuro(item).join(' • ')}${alerts}</div>${renderCorrectionControls('neuro', index, item)}`;
+        el.appendChild(div);
+    });
+}
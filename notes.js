@@ -4,8 +4,9 @@
  */
 
 // Import patient management
-import { patientInfo, currentPatientId, patients, saveToLocalStorage } from './patient.js';
-import { nowTimestamp, getValue, setValue, q } from './utils.js';
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { registerCorrectableLog, renderCorrectionControls } from './corrections.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, entryTimeLabel, sortByObserved } from './utils.js';
 
 // Global notes data
 let notesLog = []; // newest first
@@ -20,11 +21,11 @@ export function setupAudioRecorder() { initAudioRecording(); }
 
 
 /**
- * Load notes data from localStorage
+ * Load notes data for the current patient (patients are persisted by patient.js)
  */
 export function loadFromLocalStorage() {
-    const savedNotes = localStorage.getItem('notesLog');
-    if (savedNotes) notesLog = JSON.parse(savedNotes);
+    const record = getCurrentPatientRecord();
+    notesLog = record && Array.isArray(record.notes) ? [...record.notes] : [];
 }
 
 /**
@@ -41,8 +42,27 @@ export function persistNotes() {
 export function setNotesLog(arr) {
     notesLog = Array.isArray(arr) ? [...arr] : [];
     renderNotesLog();
+    // Audio players belong to the previous patient's recordings
+    const audioEl = q('audio-notes'); if (audioEl) audioEl.innerHTML = '';
 }
 
+// Keep the notes log in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.notes = [...notesLog]; },
+    load: record => setNotesLog(record.notes)
+});
+
+// Notes can be corrected or voided from the log
+registerCorrectableLog('notes', {
+    label: 'note',
+    getLog: () => notesLog,
+    fields: [{ key: 'note', label: 'Note' }],
+    save: () => {
+        persistNotes();
+        renderNotesLog();
+    }
+});
+
 /**
  * Add a new note
  */
@@ -56,14 +76,17 @@ export function addNote() {
     notesLog.unshift({ 
         time: nowTimestamp(), 
         iso: new Date().toISOString(), 
+        ...readObservedTime('note-observed'),
         note: text 
     });
+    sortByObserved(notesLog);
     
     if (notesLog.length > 200) notesLog.length = 200;
     
     persistNotes();
     renderNotesLog();
     setValue('general-note', '');
+    setValue('note-observed', '');
 }
 
 /**
@@ -71,6 +94,7 @@ export function addNote() {
  */
 export function clearNoteInput() { 
     setValue('general-note', ''); 
+    setValue('note-observed', '');
     // Also clear audio notes display
     const audioEl = q('audio-notes'); if (audioEl) audioEl.innerHTML = '';
     // Remove audio notes from notesLog
@@ -91,10 +115,10 @@ export function renderNotesLog() {
         return;
     }
     
-    notesLog.forEach(n => {
+    notesLog.forEach((n, index) => {
         const div = document.createElement('div');
-        div.className = 'log-item';
-        div.innerHTML = `<div><strong>${n.time}</strong> — ${n.note}</div>`;
+        div.className = n.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(n)}</strong> — ${n.note}</div>${renderCorrectionControls('notes', index, n)}`;
         el.appendChild(div);
     });
 }
@@ -4,7 +4,7 @@
  */
 
 // Global patient data
-import { getValue, setValue } from './utils.js';
+import { nowTimestamp, getValue, setValue } from './utils.js';
 
 export let patientInfo = {
     responderId: '',
@@ -17,24 +17,115 @@ export let patientInfo = {
     lastIntake: '',
     signsSymptoms: '',
     priority: '',
+    category: '', // triage category label when the algorithm has its own (e.g. SALT 'Expectant')
     pupilsReactive: false
 };
 
 export let currentPatientId = null;
 export let patients = {};
 
+// Modules that keep a per-patient log in memory (vitals, GCS, notes, CPR...)
+const recordHandlers = [];
+
+// Global log keys used before logs were stored per patient: key -> path in the patient record
+const LEGACY_LOG_KEYS = {
+    vitalsLog: ['vitals'],
+    gcsLog: ['gcs'],
+    notesLog: ['notes'],
+    cprLog: ['cpr', 'log'],
+    cprEvents: ['cpr', 'events'],
+    cprTimeline: ['cpr', 'timeline']
+};
+
+/**
+ * Register a module that keeps per-patient data in memory.
+ * `save(record)` copies the module's state into a patient record,
+ * `load(record)` replaces the module's state with the record's data (and re-renders).
+ */
+export function registerPatientRecordHandler(handler) {
+    if (handler && typeof handler.save === 'function' && typeof handler.load === 'function') {
+        recordHandlers.push(handler);
+    }
+}
+
+// How a patient's status is shown in the patient list: fn(record) -> { label, departed } or null
+let patientStatus = () => null;
+
+/**
+ * Register how patient chips show a patient's status (departed patients are greyed and grouped last)
+ */
+export function registerPatientStatus(fn) {
+    if (typeof fn === 'function') patientStatus = fn;
+}
+
+/**
+ * Get the stored record of the current patient (or null)
+ */
+export function getCurrentPatientRecord() {
+    return currentPatientId && patients[currentPatientId] ? patients[currentPatientId] : null;
+}
+
+/**
+ * Write patientInfo and every registered module's logs into patients[currentPatientId]
+ */
+export function storeCurrentPatient() {
+    if (!currentPatientId) return;
+    const record = patients[currentPatientId] || { vitals: [], gcs: [], notes: [] };
+    record.info = {...patientInfo};
+    recordHandlers.forEach(h => h.save(record));
+    patients[currentPatientId] = record;
+}
+
+/**
+ * Load every registered module's logs from the current patient's record
+ */
+function loadCurrentPatientRecords() {
+    const record = getCurrentPatientRecord() || {};
+    recordHandlers.forEach(h => h.load(record));
+}
+
+/**
+ * Move logs saved under the old global keys into the current patient's record.
+ * Only fills sections the patient does not have yet, then removes the global keys.
+ */
+function migrateLegacyLogs() {
+    const keys = Object.keys(LEGACY_LOG_KEYS).filter(k => localStorage.getItem(k) !== null);
+    if (keys.length === 0) return;
+
+    if (!currentPatientId || !patients[currentPatientId]) {
+        currentPatientId = Object.keys(patients)[0] || Date.now().toString();
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+    }
+    const record = patients[currentPatientId];
+
+    keys.forEach(key => {
+        let data = [];
+        try { data = JSON.parse(localStorage.getItem(key)) || []; } catch (e) { data = []; }
+        const path = LEGACY_LOG_KEYS[key];
+        let target = record;
+        path.slice(0, -1).forEach(p => { target = target[p] = target[p] || {}; });
+        const field = path[path.length - 1];
+        if (!Array.isArray(target[field]) || target[field].length === 0) target[field] = data;
+        localStorage.removeItem(key);
+    });
+
+    saveToLocalStorage();
+}
+
 /**
  * Load patient data from localStorage
  */
 export function loadFromLocalStorage() {
     const savedPatientInfo = localStorage.getItem('patientInfo');
     if (savedPatientInfo) patientInfo = JSON.parse(savedPatientInfo);
-    
+
     const savedCurrentPatientId = localStorage.getItem('currentPatientId');
-    if (savedCurrentPatientId) currentPatientId = savedCurrentPatientId;
-    
+    if (savedCurrentPatientId && savedCurrentPatientId !== 'null') currentPatientId = savedCurrentPatientId;
+
     const savedPatients = localStorage.getItem('patients');
     if (savedPatients) patients = JSON.parse(savedPatients);
+
+    migrateLegacyLogs();
 }
 
 /**
@@ -50,15 +141,8 @@ export function saveToLocalStorage() {
  * Add a new patient
  */
 export function addPatient() {
-    // Save current patient if exists (placeholder — modules will persist their own logs)
-    if (currentPatientId) {
-        patients[currentPatientId] = {
-            info: {...patientInfo},
-            vitals: patients[currentPatientId] ? patients[currentPatientId].vitals : [],
-            gcs: patients[currentPatientId] ? patients[currentPatientId].gcs : [],
-            notes: patients[currentPatientId] ? patients[currentPatientId].notes : []
-        };
-    }
+    // Save current patient (info and every module's logs) before leaving it
+    storeCurrentPatient();
     
     // Create new patient with empty data
     const patientId = Date.now().toString();
@@ -74,15 +158,26 @@ export function addPatient() {
             lastIntake: '',
             signsSymptoms: '',
             priority: '',
+            category: '',
             pupilsReactive: false
         },
         vitals: [],
         gcs: [],
-        notes: []
+        neuro: [],
+        stroke: [],
+        injuries: [],
+        burns: { regions: {}, weightKg: '', burnIso: '' },
+        mechanism: {},
+        milestones: {},
+        disposition: {},
+        treatments: [],
+        notes: [],
+        cpr: { log: [], events: [], timeline: [] }
     };
     
     currentPatientId = patientId;
     patientInfo = {...patients[patientId].info};
+    loadCurrentPatientRecords();
     
     // Clear all current data (defensive) using safe setters
     setValue('patient-name', '');
@@ -99,7 +194,9 @@ export function addPatient() {
     
     saveToLocalStorage();
     renderPatientList();
+    renderPriorityHistory();
     updateCurrentPatientDisplay();
+    updateAllTabPatientDisplays();
     return patientId;
 }
 
@@ -109,23 +206,19 @@ export function addPatient() {
 export function switchPatient(patientId) {
     if (!patients[patientId]) return;
     
-    // Save current patient if exists (placeholder)
-    if (currentPatientId) {
-        patients[currentPatientId] = {
-            info: {...patientInfo},
-            vitals: patients[currentPatientId] ? patients[currentPatientId].vitals : [],
-            gcs: patients[currentPatientId] ? patients[currentPatientId].gcs : [],
-            notes: patients[currentPatientId] ? patients[currentPatientId].notes : []
-        };
-    }
+    // Save current patient (info and every module's logs) before leaving it
+    storeCurrentPatient();
     
     currentPatientId = patientId;
     patientInfo = {...patients[patientId].info};
+    loadCurrentPatientRecords();
     
     // Update UI
     updatePatientInfoFields();
     renderPatientList();
+    renderPriorityHistory();
     updateCurrentPatientDisplay();
+    updateAllTabPatientDisplays();
     saveToLocalStorage();
     return patientId;
 }
@@ -139,6 +232,8 @@ export function removePatient(patientId) {
     delete patients[patientId];
     
     if (currentPatientId === patientId) {
+        // Forget the removed patient so switching/adding doesn't store it again
+        currentPatientId = null;
         // Switch to another patient or create new one
         const remainingIds = Object.keys(patients);
         if (remainingIds.length > 0) {
@@ -156,6 +251,20 @@ export function removePatient(patientId) {
 // Provide deletePatient alias for compatibility with UI and other modules
 export const deletePatient = removePatient;
 
+/**
+ * Replace the whole patient list (e.g. when a new scene starts).
+ * The current patient should be stored first; an empty list gets a fresh patient.
+ */
+export function setPatients(newPatients, patientId = null) {
+    patients = newPatients || {};
+    currentPatientId = null;
+
+    const ids = Object.keys(patients);
+    if (patientId && patients[patientId]) switchPatient(patientId);
+    else if (ids.length > 0) switchPatient(ids[0]);
+    else addPatient();
+}
+
 /**
  * Render patient list
  */
@@ -171,22 +280,31 @@ export function renderPatientList() {
         return;
     }
     
-    allIds.forEach(id => {
+    // Patients still on scene first, then those who have left it
+    const statuses = {};
+    allIds.forEach(id => { statuses[id] = patientStatus(patients[id]); });
+    const departed = allIds.filter(id => statuses[id] && statuses[id].departed);
+    const onScene = allIds.filter(id => !departed.includes(id));
+
+    const addChip = id => {
         const patient = patients[id];
+        const status = statuses[id];
         const displayName = patient.info.name && patient.info.name.trim() !== '' ? patient.info.name : 'New Patient';
         const priority = patient.info.priority;
+        const category = patient.info.category;
         
         const chip = document.createElement('div');
-        chip.className = `patient-chip ${id === currentPatientId ? 'active' : ''}`;
+        chip.className = `patient-chip ${id === currentPatientId ? 'active' : ''} ${status && status.departed ? 'departed' : ''}`;
         
         let priorityIndicator = '';
         if (priority) {
-            priorityIndicator = `<span class="priority-indicator priority-${priority.toLowerCase()}">${priority}</span>`;
+            priorityIndicator = `<span class="priority-indicator priority-${priority.toLowerCase()}">${category || priority}</span>`;
         }
         
         chip.innerHTML = `
             ${displayName}
             ${priorityIndicator}
+            ${status ? `<span class="chip-status">${status.label}</span>` : ''}
             <span class="remove" onclick="event.stopPropagation(); deletePatient('${id}')">×</span>
         `;
         chip.onclick = () => {
@@ -194,7 +312,16 @@ export function renderPatientList() {
         };
         
         patientListEl.appendChild(chip);
-    });
+    };
+
+    onScene.forEach(addChip);
+    if (departed.length > 0) {
+        const heading = document.createElement('div');
+        heading.className = 'patient-list-group meta';
+        heading.textContent = `Left scene (${departed.length})`;
+        patientListEl.appendChild(heading);
+        departed.forEach(addChip);
+    }
 }
 
 /**
@@ -214,12 +341,21 @@ export function updateCurrentPatientDisplay() {
  * Update patient info fields
  */
 export function updatePatientInfoFields() {
-    const fields = [
-        'responder-id','incident-type','patient-name','patient-age','allergies','medication',
-        'history','last-intake','signs-symptoms','patient-priority','pupils-reactive'
-    ];
+    // input id -> patientInfo key
+    const fields = {
+        'responder-id': 'responderId',
+        'incident-type': 'incident',
+        'patient-name': 'name',
+        'patient-age': 'age',
+        'allergies': 'allergies',
+        'medication': 'medication',
+        'history': 'history',
+        'last-intake': 'lastIntake',
+        'signs-symptoms': 'signsSymptoms',
+        'pupils-reactive': 'pupilsReactive'
+    };
     
-    fields.forEach(id => {
+    Object.keys(fields).forEach(id => {
         const el = document.getElementById(id);
         if (!el) return;
         switch(id) {
@@ -227,9 +363,10 @@ export function updatePatientInfoFields() {
                 el.checked = patientInfo.pupilsReactive || false;
                 break;
             default:
-                el.value = patientInfo[id.replace(/-/g,'')] || patientInfo[id] || '';
+                el.value = patientInfo[fields[id]] || '';
         }
     });
+    showPatientPriority();
 }
 
 /**
@@ -249,12 +386,7 @@ export function patientInfoChanged() {
     
     // Save current patient data
     if (currentPatientId) {
-        patients[currentPatientId] = {
-            info: {...patientInfo},
-            vitals: patients[currentPatientId] ? patients[currentPatientId].vitals : [],
-            gcs: patients[currentPatientId] ? patients[currentPatientId].gcs : [],
-            notes: patients[currentPatientId] ? patients[currentPatientId].notes : []
-        };
+        storeCurrentPatient();
         
         saveToLocalStorage();
         renderPatientList();
@@ -282,12 +414,7 @@ export function patientNameChanged() {
 
     // Save current patient data
     if (currentPatientId) {
-        patients[currentPatientId] = {
-            info: {...patientInfo},
-            vitals: patients[currentPatientId] ? patients[currentPatientId].vitals : [],
-            gcs: patients[currentPatientId] ? patients[currentPatientId].gcs : [],
-            notes: patients[currentPatientId] ? patients[currentPatientId].notes : []
-        };
+        storeCurrentPatient();
         
         saveToLocalStorage();
         renderPatientList();
@@ -296,26 +423,94 @@ export function patientNameChanged() {
 }
 
 /**
- * Handle patient priority changes
+ * Priority and category of a priority dropdown value ('P2', or 'P4|Dead' under SALT)
+ * @returns {{priority: string, category: string}}
+ */
+export function parsePriorityValue(value) {
+    const [priority = '', category = ''] = String(value || '').split('|');
+    return { priority, category };
+}
+
+/**
+ * Select the current patient's priority in the dropdown (the priority alone when the triage mode
+ * has no option for its category)
+ */
+export function showPatientPriority() {
+    const select = document.getElementById('patient-priority');
+    if (!select) return;
+    const withCategory = patientInfo.category ? `${patientInfo.priority}|${patientInfo.category}` : patientInfo.priority || '';
+    const values = select.options ? Array.from(select.options).map(opt => opt.value) : [];
+    setValue('patient-priority', values.includes(withCategory) ? withCategory : patientInfo.priority || '');
+}
+
+/**
+ * Handle patient priority changes (the category comes with the option chosen for the scene's triage mode)
  */
 export function patientPriorityChanged() {
-    const newPriority = getValue('patient-priority');
-    
-    // Update patientInfo object
-    patientInfo.priority = newPriority;
-    
+    const { priority, category } = parsePriorityValue(getValue('patient-priority'));
+    setPatientPriority(priority, 'Manual', category);
+}
+
+/**
+ * Set the current patient's priority, keeping a history of every change
+ * @param {string} priority - 'P1'..'P4' (or '' to clear)
+ * @param {string} source - what produced the change (e.g. 'Manual', 'START triage')
+ * @param {string} [category] - algorithm-specific category shown instead of the priority (e.g. SALT 'Delayed')
+ */
+export function setPatientPriority(priority, source = 'Manual', category = '') {
+    const previous = patientInfo.category || patientInfo.priority || '';
+    patientInfo.priority = priority || '';
+    patientInfo.category = patientInfo.priority ? category : '';
+    showPatientPriority();
+
     // Save current patient data
     if (currentPatientId) {
-        patients[currentPatientId] = {
-            info: {...patientInfo},
-            vitals: patients[currentPatientId] ? patients[currentPatientId].vitals : [],
-            gcs: patients[currentPatientId] ? patients[currentPatientId].gcs : [],
-            notes: patients[currentPatientId] ? patients[currentPatientId].notes : []
-        };
-        
+        storeCurrentPatient();
+        const record = patients[currentPatientId];
+        record.priorityHistory = record.priorityHistory || [];
+        record.priorityHistory.unshift({
+            time: nowTimestamp(),
+            iso: new Date().toISOString(),
+            from: previous,
+            to: patientInfo.category || patientInfo.priority,
+            source
+        });
+        if (record.priorityHistory.length > 200) record.priorityHistory.length = 200;
+
         saveToLocalStorage();
         renderPatientList();
+        renderPriorityHistory();
+    }
+}
+
+/**
+ * Get the current patient's priority changes (newest first)
+ */
+export function getPriorityHistory() {
+    const record = getCurrentPatientRecord();
+    return record && Array.isArray(record.priorityHistory) ? record.priorityHistory : [];
+}
+
+/**
+ * Render the current patient's priority changes
+ */
+export function renderPriorityHistory() {
+    const el = document.getElementById('priority-history');
+    if (!el) return; // Defensive guard
+    el.innerHTML = '';
+
+    const history = getPriorityHistory();
+    if (history.length === 0) {
+        el.innerHTML = '<div class="log-item meta">No priority set yet</div>';
+        return;
     }
+
+    history.forEach(h => {
+        const div = document.createElement('div');
+        div.className = 'log-item';
+        div.innerHTML = `<div><strong>${h.time}</strong> — ${h.from || 'None'} → ${h.to || 'None'} (${h.source})</div>`;
+        el.appendChild(div);
+    });
 }
 
 /**
@@ -325,7 +520,7 @@ export function updateAllTabPatientDisplays() {
     const patientName = patientInfo.name && patientInfo.name.trim() !== '' ? patientInfo.name : 'New Patient';
     
     // Update all tab patient displays (defensive)
-    const ids = ['patient-info-current','vitals-current','gcs-current','cpr-current','notes-current'];
+    const ids = ['patient-info-current','vitals-current','gcs-current','cpr-current','notes-current','injuries-current','treatment-current'];
     ids.forEach(id => {
         const el = document.getElementById(id);
         if (!el) return;
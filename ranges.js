@@ -0,0 +1,157 @@
+/**
+ * Reference Ranges Module
+ * Normal/abnormal/critical bands for each vital sign by age band
+ */
+
+// Age bands in order; `maxYears` is exclusive
+export const AGE_BANDS = [
+    { key: 'neonate', label: 'Neonate (<28 days)', maxYears: 28 / 365 },
+    { key: 'infant', label: 'Infant (<1 year)', maxYears: 1 },
+    { key: 'child', label: 'Child (1-12 years)', maxYears: 13 },
+    { key: 'adolescent', label: 'Adolescent (13-17 years)', maxYears: 18 },
+    { key: 'adult', label: 'Adult (18+ years)', maxYears: Infinity }
+];
+
+// Per vital and age band: values inside `normal` are normal, inside `abnormal` (but not normal)
+// are abnormal, anything outside `abnormal` is critical. Bounds are inclusive.
+const SPO2 = { normal: [95, 100], abnormal: [90, 100] };
+const TEMP = { normal: [36.1, 37.9], abnormal: [35, 39] };
+const CAP_REFILL = { normal: [0, 2], abnormal: [0, 3] };
+const PAIN = { normal: [0, 4], abnormal: [0, 7] };
+
+export const VITAL_RANGES = {
+    'bp-sys': {
+        label: 'Systolic', unit: 'mmHg',
+        neonate: { normal: [60, 90], abnormal: [50, 100] },
+        infant: { normal: [70, 100], abnormal: [60, 120] },
+        child: { normal: [80, 120], abnormal: [70, 140] },
+        adolescent: { normal: [90, 130], abnormal: [85, 160] },
+        adult: { normal: [101, 159], abnormal: [90, 200] }
+    },
+    'bp-dia': {
+        label: 'Diastolic', unit: 'mmHg',
+        neonate: { normal: [30, 60], abnormal: [20, 70] },
+        infant: { normal: [35, 65], abnormal: [30, 75] },
+        child: { normal: [45, 80], abnormal: [40, 90] },
+        adolescent: { normal: [55, 85], abnormal: [50, 100] },
+        adult: { normal: [71, 99], abnormal: [60, 120] }
+    },
+    pulse: {
+        label: 'Pulse', unit: 'bpm',
+        neonate: { normal: [100, 180], abnormal: [80, 200] },
+        infant: { normal: [100, 160], abnormal: [80, 190] },
+        child: { normal: [70, 130], abnormal: [60, 160] },
+        adolescent: { normal: [60, 100], abnormal: [50, 130] },
+        adult: { normal: [51, 99], abnormal: [40, 130] }
+    },
+    rrate: {
+        label: 'Resp Rate', unit: '/min',
+        neonate: { normal: [30, 60], abnormal: [20, 70] },
+        infant: { normal: [30, 50], abnormal: [20, 60] },
+        child: { normal: [18, 30], abnormal: [12, 40] },
+        adolescent: { normal: [12, 20], abnormal: [10, 30] },
+        adult: { normal: [13, 24], abnormal: [8, 30] }
+    },
+    spo2: { label: 'SPO₂', unit: '%', neonate: SPO2, infant: SPO2, child: SPO2, adolescent: SPO2, adult: SPO2 },
+    hgt: {
+        label: 'HGT', unit: 'mmol/L',
+        neonate: { normal: [2.6, 10], abnormal: [2, 15] },
+        infant: { normal: [3.5, 11], abnormal: [2.5, 20] },
+        child: { normal: [3.5, 11], abnormal: [2.5, 20] },
+        adolescent: { normal: [4, 11], abnormal: [2.5, 20] },
+        adult: { normal: [4.1, 14.9], abnormal: [2.5, 20] }
+    },
+    temp: { label: 'Temperature', unit: '°C', neonate: TEMP, infant: TEMP, child: TEMP, adolescent: TEMP, adult: TEMP },
+    'cap-refill': { label: 'Cap Refill', unit: 's', neonate: CAP_REFILL, infant: CAP_REFILL, child: CAP_REFILL, adolescent: CAP_REFILL, adult: CAP_REFILL },
+    pain: { label: 'Pain', unit: '/10', neonate: PAIN, infant: PAIN, child: PAIN, adolescent: PAIN, adult: PAIN },
+
+    // Derived haemodynamic values (see haemodynamics.js)
+    map: {
+        label: 'MAP', unit: 'mmHg',
+        neonate: { normal: [40, 60], abnormal: [35, 70] },
+        infant: { normal: [50, 75], abnormal: [45, 85] },
+        child: { normal: [60, 90], abnormal: [50, 100] },
+        adolescent: { normal: [65, 100], abnormal: [60, 110] },
+        adult: { normal: [70, 105], abnormal: [65, 120] }
+    },
+    // Paediatric bands follow the age-adjusted (SIPA-style) cut-offs
+    'shock-index': {
+        label: 'Shock Index', unit: '',
+        neonate: { normal: [0, 2], abnormal: [0, 2.5] },
+        infant: { normal: [0, 1.6], abnormal: [0, 2] },
+        child: { normal: [0, 1.2], abnormal: [0, 1.5] },
+        adolescent: { normal: [0, 0.9], abnormal: [0, 1.2] },
+        adult: { normal: [0, 0.7], abnormal: [0, 1] }
+    },
+    // Age x shock index is only validated in adults
+    'age-shock-index': {
+        label: 'Age Shock Index', unit: '',
+        adult: { normal: [0, 40], abnormal: [0, 50] }
+    },
+    'pulse-pressure': {
+        label: 'Pulse Pressure', unit: 'mmHg',
+        neonate: { normal: [20, 40], abnormal: [15, 50] },
+        infant: { normal: [25, 45], abnormal: [20, 55] },
+        child: { normal: [30, 50], abnormal: [20, 60] },
+        adolescent: { normal: [30, 60], abnormal: [25, 80] },
+        adult: { normal: [30, 60], abnormal: [25, 100] }
+    }
+};
+
+/**
+ * Parse an age entry in years; accepts a plain number of years or a number with d/w/m/y ("10d", "6m")
+ * @returns {number} age in years, NaN when not given
+ */
+export function parseAgeYears(value) {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([dwmy]?)/);
+    if (!match) return NaN;
+    const num = parseFloat(match[1]);
+    const perYear = { d: 365, w: 52, m: 12, y: 1, '': 1 }[match[2]];
+    return num / perYear;
+}
+
+/**
+ * Age band for an age entry; unknown ages are treated as adult
+ */
+export function getAgeBand(age) {
+    const years = parseAgeYears(age);
+    if (isNaN(years)) return AGE_BANDS[AGE_BANDS.length - 1];
+    return AGE_BANDS.find(band => years < band.maxYears);
+}
+
+/**
+ * Assess a vital against the ranges for an age
+ * @returns {string} 'normal', 'abnormal' or 'critical' (empty/unknown values are 'normal')
+ */
+export function assessVital(value, vitalType, age) {
+    const num = parseFloat(value);
+    const ranges = VITAL_RANGES[vitalType];
+    const bandRanges = ranges ? ranges[getAgeBand(age).key] : null;
+    if (isNaN(num) || !bandRanges) return 'normal';
+
+    const { normal, abnormal } = bandRanges;
+    if (num < abnormal[0] || num > abnormal[1]) return 'critical';
+    if (num < normal[0] || num > normal[1]) return 'abnormal';
+    return 'normal';
+}
+
+/**
+ * Describe the three bands of one vital for one age band as display text
+ * @returns {{normal: string, abnormal: string, critical: string}}
+ */
+export function describeRanges(vitalType, age) {
+    const { normal, abnormal } = VITAL_RANGES[vitalType][getAgeBand(age).key];
+    const abnormalParts = [];
+    if (abnormal[0] < normal[0]) abnormalParts.push(`${abnormal[0]} to <${normal[0]}`);
+    if (abnormal[1] > normal[1]) abnormalParts.push(`>${normal[1]} to ${abnormal[1]}`);
+    // One-sided vitals (SpO₂, cap refill, pain) have no critical band on the side that never goes abnormal
+    const criticalParts = [];
+    if (abnormal[0] < normal[0]) criticalParts.push(`<${abnormal[0]}`);
+    if (abnormal[1] > normal[1]) criticalParts.push(`>${abnormal[1]}`);
+
+    return {
+        normal: `${normal[0]}-${normal[1]}`,
+        abnormal: abnormalParts.join(' or ') || '-',
+        critical: criticalParts.join(' or ')
+    };
+}
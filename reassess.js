@@ -0,0 +1,150 @@
+/**
+ * Reassessment Module
+ * Per-priority reassessment countdowns based on each patient's last vitals/GCS entry
+ */
+
+// Import patient management
+import { patients, currentPatientId } from './patient.js';
+import { getSceneSettings } from './scene.js';
+import { activeEntries } from './corrections.js';
+import { reassessmentEnded } from './disposition.js';
+import { q, observedIso } from './utils.js';
+
+let tickInterval = null;
+// Patients already alerted for their current overdue period: id -> last assessment iso
+let alerted = {};
+
+/**
+ * Newest observed time in a log, ignoring voided entries (backdated entries may sit anywhere in the log)
+ */
+function latestIso(log) {
+    return activeEntries(log).reduce((latest, item) => (observedIso(item) > latest ? observedIso(item) : latest), '');
+}
+
+/**
+ * Reassessment status of one patient record; departed and deceased patients are never due
+ */
+export function getReassessmentStatus(id, record, now = Date.now()) {
+    const priority = record.info ? record.info.priority : '';
+    const lastVitals = latestIso(record.vitals);
+    const lastGcs = latestIso(record.gcs);
+    const lastAssessment = lastVitals > lastGcs ? lastVitals : lastGcs;
+    // Patient ids are creation timestamps; unassessed patients are timed from when they were added
+    const from = lastAssessment ? new Date(lastAssessment).getTime() : parseInt(id, 10);
+    const minutes = getSceneSettings().reassessMinutes[priority];
+
+    const status = {
+        lastVitals,
+        lastGcs,
+        lastAssessment,
+        intervalMinutes: minutes || null,
+        dueInSeconds: null,
+        overdue: false
+    };
+    if (minutes && !isNaN(from) && !reassessmentEnded(record.disposition)) {
+        status.dueInSeconds = Math.round((from + minutes * 60000 - now) / 1000);
+        status.overdue = status.dueInSeconds <= 0;
+    }
+    return status;
+}
+
+/**
+ * Format a countdown: "Reassess in 4:05" / "Overdue 1:10"
+ */
+export function formatCountdown(status) {
+    if (status.dueInSeconds === null) return '';
+    const s = Math.abs(status.dueInSeconds);
+    const text = `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    return status.overdue ? `Overdue ${text}` : `Reassess in ${text}`;
+}
+
+/**
+ * Update the countdowns and raise alerts for newly overdue patients
+ */
+export function checkReassessments() {
+    const overdue = [];
+    Object.keys(patients).forEach(id => {
+        const record = patients[id];
+        const status = getReassessmentStatus(id, record);
+        if (!status.overdue) {
+            delete alerted[id];
+            return;
+        }
+        overdue.push(record);
+        // Alert once per overdue period; a new vitals/GCS entry starts a new period
+        if (alerted[id] !== status.lastAssessment) {
+            alerted[id] = status.lastAssessment;
+            notifyOverdue(record);
+        }
+    });
+
+    renderReassessmentBanner(overdue);
+    renderCurrentCountdown();
+}
+
+/**
+ * Show a system notification when the user has granted permission
+ */
+function notifyOverdue(record) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const info = record.info || {};
+    const name = info.name && info.name.trim() !== '' ? info.name : 'New Patient';
+    try {
+        new Notification('Reassessment overdue', { body: `${name} (${info.priority}) is due for vitals/GCS`, icon: 'icon-192.png' });
+    } catch (e) {
+        // Some mobile browsers only allow notifications from the service worker
+        console.warn('Notification failed:', e);
+    }
+}
+
+/**
+ * Ask for permission to show reassessment notifications
+ */
+export function enableReassessNotifications() {
+    if (typeof Notification === 'undefined') {
+        alert('Notifications are not supported on this device');
+        return;
+    }
+    Notification.requestPermission();
+}
+
+/**
+ * Render the in-app banner listing overdue patients
+ */
+function renderReassessmentBanner(overdue) {
+    const el = q('reassess-banner');
+    if (!el) return;
+    if (overdue.length === 0) {
+        el.className = 'alert-banner alert-none';
+        el.textContent = '';
+        return;
+    }
+    const names = overdue.map(r => (r.info && r.info.name && r.info.name.trim() !== '' ? r.info.name : 'New Patient') + (r.info && r.info.priority ? ` (${r.info.priority})` : ''));
+    el.className = 'alert-banner alert-red';
+    el.textContent = `Reassessment overdue: ${names.join(', ')}`;
+}
+
+/**
+ * Render the current patient's countdown in the vitals and GCS tabs
+ */
+function renderCurrentCountdown() {
+    const record = currentPatientId ? patients[currentPatientId] : null;
+    const status = record ? getReassessmentStatus(currentPatientId, record) : null;
+    const text = status ? formatCountdown(status) : '';
+    ['vitals-reassess', 'gcs-reassess'].forEach(id => {
+        const el = q(id);
+        if (!el) return;
+        el.textContent = text;
+        if (el.classList) el.classList.toggle('overdue', !!(status && status.overdue));
+    });
+}
+
+/**
+ * Start the once-a-second reassessment check (countdowns are recomputed from the logs, so they survive a reload)
+ */
+export function startReassessmentTimers() {
+    if (tickInterval) return;
+    alerted = {};
+    checkReassessments();
+    tickInterval = setInterval(checkReassessments, 1000);
+}
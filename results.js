@@ -4,22 +4,33 @@
  */
 
 // Import patient management
-import { patientInfo } from './patient.js';
+import { patientInfo, getPriorityHistory, parsePriorityValue } from './patient.js';
 import { getVitalsLog } from './vitals.js';
 import { getGcsLog } from './gcs.js';
+import { formatGcs } from './gcsscale.js';
 import { getNotesLog } from './notes.js';
-import { getValue, q } from './utils.js';
+import { getNeuroLog, describeNeuro } from './neuro.js';
+import { getInjuryLog, injuriesByRegion, describeInjuryTypes } from './bodymap.js';
+import { getBurns, describeBurns } from './burns.js';
+import { getMechanism, describeMechanism, evaluateTraumaCriteria, traumaFlagLabel } from './mechanism.js';
+import { getPatientMilestones, milestoneTimes, calculateIntervals, describeInterval, platinumWarning, MILESTONES } from './milestones.js';
+import { getDisposition, describeDisposition, DISPOSITIONS } from './disposition.js';
+import { getTreatmentLog, describeTreatment } from './treatments.js';
+import { getStrokeLog, latestStrokeScreen, describeStrokeScreen, describeLastKnownWell, strokePreAlert } from './stroke.js';
+import { getTriageLog, TRIAGE_ALGORITHMS } from './triage.js';
+import { getCurrentScene, getArchivedScene, closeSceneArchive, getSceneSettings } from './scene.js';
+import { analyzeTrends, getTrendThresholds } from './trends.js';
+import { calculateHaemodynamics } from './haemodynamics.js';
+import { activeEntries, reportCorrectionNote } from './corrections.js';
+import { getEarlyWarningScore, PEWS_BEHAVIOUR, PEWS_BREATHING } from './scores.js';
+import { getValue, q, observedTime, entryTimeLabel, isLateEntry } from './utils.js';
 
 /**
- * Generate handover results
+ * Generate handover results for the current patient
  */
 export function generateResults() {
     // Ensure patient info up to date (use safe getters)
     patientInfo.responderId = getValue('responder-id');
-    const vitalsLog = getVitalsLog();
-    const gcsLog = getGcsLog();
-    const notesLog = getNotesLog();
-
     patientInfo.incident = getValue('incident-type');
     patientInfo.name = getValue('patient-name');
     patientInfo.age = getValue('patient-age');
@@ -28,11 +39,77 @@ export function generateResults() {
     patientInfo.history = getValue('history');
     patientInfo.lastIntake = getValue('last-intake');
     patientInfo.signsSymptoms = getValue('signs-symptoms');
-    patientInfo.priority = getValue('patient-priority');
-    patientInfo.pupilsReactive = getValue('pupils-reactive', false);
+    patientInfo.priority = parsePriorityValue(getValue('patient-priority')).priority;
+
+    const record = {
+        info: patientInfo,
+        vitals: getVitalsLog(),
+        gcs: getGcsLog(),
+        neuro: getNeuroLog(),
+        stroke: getStrokeLog(),
+        injuries: getInjuryLog(),
+        burns: getBurns(),
+        mechanism: getMechanism(),
+        milestones: getPatientMilestones(),
+        disposition: getDisposition(),
+        treatments: getTreatmentLog(),
+        notes: getNotesLog(),
+        triage: getTriageLog(),
+        priorityHistory: getPriorityHistory()
+    };
+
+    const out = q('results-output');
+    if (out) out.value = buildReport(record, getCurrentScene());
+    else console.warn('results-output element not found');
+}
+
+/**
+ * Generate the read-only handover for a patient of an archived scene
+ */
+export function showArchivedReport(sceneId, patientId) {
+    const scene = getArchivedScene(sceneId);
+    const record = scene && scene.patients ? scene.patients[patientId] : null;
+    if (!record) return;
+
+    closeSceneArchive();
+    const modal = q('results-modal');
+    if (modal) modal.style.display = 'block';
+    const out = q('results-output');
+    if (out) out.value = `--- ARCHIVED SCENE (READ-ONLY) ---\n\n` + buildReport(record, scene);
+}
+
+/**
+ * Build the handover text for one patient record
+ * @param {Object} record - { info, vitals, gcs, neuro, stroke, injuries, burns, mechanism, milestones, disposition, treatments, notes, triage, priorityHistory }
+ * @param {Object} [scene] - scene the patient belongs to
+ */
+function buildReport(record, scene) {
+    const info = record.info || {};
+    const vitalsLog = record.vitals || [];
+    const gcsLog = record.gcs || [];
+    const neuroLog = record.neuro || [];
+    const injuryGroups = injuriesByRegion(record.injuries || []);
+    const burnLines = describeBurns(record.burns, info.age);
+    const mechanismLines = describeMechanism(record.mechanism);
+    const trauma = evaluateTraumaCriteria(record);
+    const times = milestoneTimes(record, scene);
+    const intervals = calculateIntervals(times);
+    const sceneTimeWarning = platinumWarning(info, times, getSceneSettings(scene));
+    const dispositionText = record.disposition && DISPOSITIONS[record.disposition.status] ? describeDisposition(record.disposition, times.departScene) : '';
+    const treatmentLog = record.treatments || [];
+    const notesLog = record.notes || [];
+    const triageLog = record.triage || [];
+    const priorityHistory = record.priorityHistory || [];
 
     const showTS = getValue('show-timestamps', false);
     const useSbarFormat = getValue('sbar-format', false);
+    const latestTriage = triageLog[0];
+    const triageLabel = t => (TRIAGE_ALGORITHMS[t.algorithm] || { label: t.algorithm }).label;
+    const priorityText = info.priority && info.category ? `${info.priority} - ${info.category}` : info.priority;
+    // What produced the current priority (e.g. 'JumpSTART triage' or 'Manual')
+    const prioritySource = priorityHistory[0] && priorityHistory[0].to === (info.category || info.priority) ? priorityHistory[0].source : '';
+    const trend = analyzeTrends(record, getTrendThresholds(scene));
+    const stroke = latestStrokeScreen(record);
     
     let report = '';
     
@@ -40,47 +117,94 @@ export function generateResults() {
         report = `--- SBAR HANDOVER REPORT ---\n\n`;
         
         report += `SITUATION:\n`;
-        report += `${patientInfo.name || 'Unknown'}, ${patientInfo.age || 'Unknown'}y/o, ${patientInfo.incident || 'Unknown incident'}\n`;
-        report += `Responder: ${patientInfo.responderId || 'Unknown'}\n\n`;
+        report += `${info.name || 'Unknown'}, ${info.age || 'Unknown'}y/o, ${info.incident || 'Unknown incident'}\n`;
+        report += `Responder: ${info.responderId || 'Unknown'}\n`;
+        if (scene && (scene.incidentNumber || scene.location)) {
+            report += `Scene: ${[scene.incidentNumber, scene.location].filter(Boolean).join(', ')}\n`;
+        }
+        if (info.priority) {
+            report += `Priority: ${priorityText}`;
+            if (prioritySource) report += ` (${prioritySource})`;
+            report += '\n';
+        }
+        if (stroke && stroke.positive) {
+            report += `STROKE ALERT: ${describeStrokeScreen(stroke)}, last known well ${describeLastKnownWell(stroke)}\n`;
+            report += `${strokePreAlert(stroke, record)}\n`;
+        }
+        if (mechanismLines.length > 0) report += `Mechanism: ${mechanismLines.join('; ')}\n`;
+        if (trauma.meets) report += `${traumaFlagLabel(trauma)}: ${trauma.reasons.map(r => r.text).join('; ')}\n`;
+        if (dispositionText) report += `Disposition: ${dispositionText}\n`;
+        if (intervals.length > 0) report += `Times: ${intervals.map(describeInterval).join('; ')}\n`;
+        if (sceneTimeWarning) report += `WARNING: ${sceneTimeWarning}\n`;
+        report += '\n';
         
         report += `BACKGROUND:\n`;
-        report += `Allergies: ${patientInfo.allergies || 'None known'}\n`;
-        report += `Medications: ${patientInfo.medication || 'None'}\n`;
-        report += `History: ${patientInfo.history || 'None'}\n\n`;
+        report += `Allergies: ${info.allergies || 'None known'}\n`;
+        report += `Medications: ${info.medication || 'None'}\n`;
+        report += `History: ${info.history || 'None'}\n\n`;
         
         report += `ASSESSMENT:\n`;
-        // Add vitals summary
-        if (vitalsLog.length > 0) {
-            const latest = vitalsLog[0];
-            report += `Latest vitals (${latest.time}):\n`;
+        // Add vitals summary (voided entries are not assessment findings)
+        const latestVitals = activeEntries(vitalsLog);
+        const latestGcs = activeEntries(gcsLog);
+        if (latestVitals.length > 0) {
+            const latest = latestVitals[0];
+            report += `Latest vitals (${entryTimeLabel(latest)}):\n`;
             if (latest.bpSys && latest.bpDia) report += `- BP: ${latest.bpSys}/${latest.bpDia} mmHg\n`;
             if (latest.pulse) report += `- Pulse: ${latest.pulse} bpm\n`;
+            const d = calculateHaemodynamics(latest, info.age);
+            if (d.map !== null) report += `- MAP: ${d.map} mmHg, pulse pressure ${d.pulsePressure} mmHg\n`;
+            if (d.shockIndex !== null) report += `- Shock index: ${d.shockIndex}${d.ageShockIndex !== null ? ` (age-adjusted ${d.ageShockIndex})` : ''}\n`;
             if (latest.spo2) report += `- SPO₂: ${latest.spo2}%\n`;
             if (latest.rrate) report += `- RR: ${latest.rrate}/min\n`;
             if (latest.temp) report += `- Temp: ${latest.temp}°C\n`;
             if (latest.ecg) report += `- ECG: ${latest.ecg}\n`;
             if (latest.skin) report += `- Skin: ${latest.skin}\n`;
+            const score = getEarlyWarningScore(latest, gcsLog, neuroLog);
+            if (score) report += `- ${score.text}\n`;
+            report += reportCorrectionNote(latest);
         }
         
         // Add GCS
-        if (gcsLog.length > 0) {
-            report += `GCS: ${gcsLog[0].total}/15 (E${gcsLog[0].eye} V${gcsLog[0].verbal} M${gcsLog[0].motor})\n`;
+        if (latestGcs.length > 0) {
+            report += `GCS: ${formatGcs(latestGcs[0])}\n`;
+            report += reportCorrectionNote(latestGcs[0]);
+        }
+        const latestNeuro = activeEntries(neuroLog)[0];
+        if (latestNeuro) report += `Neuro (${entryTimeLabel(latestNeuro)}): ${describeNeuro(latestNeuro).join('; ')}\n`;
+        if (injuryGroups.length > 0) {
+            report += `Injuries: ${injuryGroups.map(g => `${g.region.label} (${g.injuries.map(describeInjuryTypes).join(', ')})`).join('; ')}\n`;
+        }
+        if (burnLines.length > 0) report += `Burns: ${burnLines.join('; ')}\n`;
+        const treatments = activeEntries(treatmentLog);
+        if (treatments.length > 0) {
+            report += `Treatment given:\n`;
+            treatments.forEach(t => { report += `- ${observedTime(t)} ${describeTreatment(t)}\n`; });
+        }
+        
+        // Add alerts
+        const neuroAlerts = latestNeuro && latestNeuro.alerts ? latestNeuro.alerts : [];
+        if (trend.issues.length || neuroAlerts.length) {
+            report += `\nCONCERNS:\n`;
+            trend.issues.forEach(i => { report += `- ${i.text}\n`; });
+            neuroAlerts.forEach(a => { report += `- ${a}\n`; });
         }
         
         report += `\nRECOMMENDATION:\n`;
         report += `[Add your recommendation here]\n\n`;
         
         // Only include signs/symptoms if there's content
-        if (patientInfo.signsSymptoms) {
+        if (info.signsSymptoms) {
             report += `--- SIGNS / SYMPTOMS ---\n\n`;
-            report += patientInfo.signsSymptoms + '\n\n';
+            report += info.signsSymptoms + '\n\n';
         }
         
         report += `--- ADDITIONAL NOTES ---\n\n`;
         if (notesLog.length === 0) report += '(none)\n';
         else {
             notesLog.forEach(n => {
-                report += `${showTS ? n.time + ' - ' : '' }${n.note}\n`;
+                report += `${n.voided ? 'VOIDED: ' : ''}${showTS ? observedTime(n) + ' - ' : '' }${n.note}${isLateEntry(n) ? ` (late entry, entered ${n.time})` : ''}\n`;
+                report += reportCorrectionNote(n);
             });
         }
     } else {
@@ -91,15 +215,66 @@ export function generateResults() {
             if (value && String(value).trim() !== '') report += `${label.padEnd(15)}: ${value}${unit}\n`; 
         };
 
-        addLine('Responder ID', patientInfo.responderId);
-        addLine('Name', patientInfo.name);
-        addLine('Age', patientInfo.age);
-        addLine('Priority', patientInfo.priority);
-        addLine('Incident', patientInfo.incident);
-        addLine('Allergies', patientInfo.allergies);
-        addLine('Medication', patientInfo.medication);
-        addLine('Past History', patientInfo.history);
-        addLine('Last Intake', patientInfo.lastIntake);
+        addLine('Responder ID', info.responderId);
+        if (scene) {
+            addLine('Incident No', scene.incidentNumber);
+            addLine('Scene', scene.location);
+            addLine('Commander', scene.commander);
+        }
+        addLine('Name', info.name);
+        addLine('Age', info.age);
+        addLine('Priority', priorityText && prioritySource ? `${priorityText} (${prioritySource})` : priorityText);
+        addLine('Incident', info.incident);
+        addLine('Allergies', info.allergies);
+        addLine('Medication', info.medication);
+        addLine('Past History', info.history);
+        addLine('Last Intake', info.lastIntake);
+        addLine('Disposition', dispositionText);
+
+        if (trend.issues.length) {
+            report += `\n--- DETERIORATION ALERTS ---\n\n`;
+            trend.issues.forEach(i => { report += `${i.severity === 'red' ? 'RED  ' : 'AMBER'}: ${i.text}\n`; });
+        }
+
+        if (stroke) {
+            report += `\n--- ${stroke.positive ? 'STROKE ALERT' : 'STROKE SCREEN'} ---\n\n`;
+            report += `${describeStrokeScreen(stroke)}${ showTS ? ' ' + stroke.time : '' }\n`;
+            report += `Last known well: ${describeLastKnownWell(stroke)}\n`;
+            if (stroke.positive) report += `${strokePreAlert(stroke, record)}\n`;
+        }
+
+        if (mechanismLines.length > 0 || trauma.meets) {
+            report += `\n--- TRAUMA TRIAGE ---\n\n`;
+            if (mechanismLines.length > 0) report += `Mechanism: ${mechanismLines.join('; ')}\n`;
+            report += `${traumaFlagLabel(trauma)}\n`;
+            trauma.reasons.forEach(r => { report += `- ${r.text}\n`; });
+        }
+
+        if (triageLog.length > 0 || priorityHistory.length > 0) {
+            report += `\n--- TRIAGE ---\n\n`;
+            if (latestTriage) {
+                report += `${triageLabel(latestTriage)} triage: ${latestTriage.priority}${latestTriage.category ? ' - ' + latestTriage.category : ''}${ showTS ? ' ' + latestTriage.time : '' }\n`;
+                if (latestTriage.sort) report += `  Global sort: ${latestTriage.sort}\n`;
+                latestTriage.answers.forEach(a => {
+                    const answerText = a.answer === 'done' ? a.value : `${a.answer.toUpperCase()}${a.value ? ' (' + a.value + ')' : ''}`;
+                    report += `  ${a.question} ${answerText}\n`;
+                });
+            }
+            if (priorityHistory.length > 0) {
+                report += `Priority changes:\n`;
+                priorityHistory.forEach(h => {
+                    report += `  ${ showTS ? h.time + ' ' : '' }${h.from || 'None'} -> ${h.to || 'None'} (${h.source})\n`;
+                });
+            }
+        }
+
+        const stamped = MILESTONES.filter(m => times[m.key]);
+        if (stamped.length > 0) {
+            report += `\n--- TIMES ---\n\n`;
+            stamped.forEach(m => addLine(m.label, new Date(times[m.key]).toLocaleTimeString()));
+            intervals.forEach(i => { report += `${describeInterval(i)}\n`; });
+            if (sceneTimeWarning) report += `WARNING: ${sceneTimeWarning}\n`;
+        }
 
         report += `\n--- VITALS ---\n\n`;
 
@@ -107,30 +282,41 @@ export function generateResults() {
         if (vitalsLog.length === 0) report += 'No vitals recorded\n';
         else {
             vitalsLog.forEach(v => {
+                if (v.voided) report += `VOIDED ENTRY (${observedTime(v)}) - not valid:\n`;
+                if (isLateEntry(v)) report += `Late entry     : observed ${observedTime(v)}, entered ${v.time}\n`;
                 if (v.bpSys && v.bpDia) {
-                    report += `BP             : ${v.bpSys}/${v.bpDia} mmHg${ showTS ? ' ' + v.time : '' }\n`;
+                    report += `BP             : ${v.bpSys}/${v.bpDia} mmHg${ showTS ? ' ' + observedTime(v) : '' }\n`;
                 }
-                if (v.pulse) report += `Pulse          : ${v.pulse} bpm${ showTS ? ' ' + v.time : '' }\n`;
+                if (v.pulse) report += `Pulse          : ${v.pulse} bpm${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                const d = calculateHaemodynamics(v, info.age);
+                if (d.map !== null) report += `MAP            : ${d.map} mmHg${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (d.shockIndex !== null) report += `Shock Index    : ${d.shockIndex}${d.ageShockIndex !== null ? ` (age-adjusted ${d.ageShockIndex})` : ''}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (d.pulsePressure !== null) report += `Pulse Pressure : ${d.pulsePressure} mmHg${ showTS ? ' ' + observedTime(v) : '' }\n`;
                 if (v.spo2) {
-                    report += `SPO₂           : ${v.spo2}%${ showTS ? ' ' + v.time : '' }\n`;
+                    report += `SPO₂           : ${v.spo2}%${ showTS ? ' ' + observedTime(v) : '' }\n`;
                     if (v.o2Delivery) report += ` (${v.o2Delivery})\n`;
                 }
-                if (v.rrate) report += `Resp Rate      : ${v.rrate}/min${ showTS ? ' ' + v.time : '' }\n`;
-                if (v.hgt) report += `HGT            : ${v.hgt} mmol/L${ showTS ? ' ' + v.time : '' }\n`;
-                if (v.temp) report += `Temperature    : ${v.temp} °C${ showTS ? ' ' + v.time : '' }\n`;
-                if (v.capRefill) report += `Cap Refill     : ${v.capRefill} s${ showTS ? ' ' + v.time : '' }\n`;
+                if (v.rrate) report += `Resp Rate      : ${v.rrate}/min${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.hgt) report += `HGT            : ${v.hgt} mmol/L${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.temp) report += `Temperature    : ${v.temp} °C${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.capRefill) report += `Cap Refill     : ${v.capRefill} s${ showTS ? ' ' + observedTime(v) : '' }\n`;
                 if (v.pupilLeft || v.pupilRight) {
                     const pupilText = `Pupils         : L${v.pupilLeft || ''} R${v.pupilRight || ''}`;
                     if (v.pupilsReactive) {
-                        report += `${pupilText} (Reactive)${ showTS ? ' ' + v.time : '' }\n`;
+                        report += `${pupilText} (Reactive)${ showTS ? ' ' + observedTime(v) : '' }\n`;
                     } else {
-                        report += `${pupilText}${ showTS ? ' ' + v.time : '' }\n`;
+                        report += `${pupilText}${ showTS ? ' ' + observedTime(v) : '' }\n`;
                     }
                 }
-                if (v.pain) report += `Pain           : ${v.pain} /10${ showTS ? ' ' + v.time : '' }\n`;
-                if (v.ecg) report += `ECG            : ${v.ecg}${ showTS ? ' ' + v.time : '' }\n`;
-                if (v.painLocation) report += `Pain Location  : ${v.painLocation}${ showTS ? ' ' + v.time : '' }\n`;
-                if (v.skin) report += `Skin           : ${v.skin}${ showTS ? ' ' + v.time : '' }\n`;
+                if (v.pain) report += `Pain           : ${v.pain} /10${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.ecg) report += `ECG            : ${v.ecg}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.painLocation) report += `Pain Location  : ${v.painLocation}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.skin) report += `Skin           : ${v.skin}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.behaviour) report += `Behaviour      : ${PEWS_BEHAVIOUR[v.behaviour]}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                if (v.workOfBreathing) report += `Breathing      : ${PEWS_BREATHING[v.workOfBreathing]}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                const score = getEarlyWarningScore(v, gcsLog, neuroLog);
+                if (score) report += `${score.name.padEnd(15)}: ${score.text.slice(score.name.length + 1)}${ showTS ? ' ' + observedTime(v) : '' }\n`;
+                report += reportCorrectionNote(v);
                 // small spacer between entries for readability
                 report += '\n';
             });
@@ -140,30 +326,70 @@ export function generateResults() {
         if (gcsLog.length === 0) report += 'No GCS recorded\n\n';
         else {
             gcsLog.forEach(g => {
-                report += `Total GCS Score: ${g.total} / 15 (E${g.eye} V${g.verbal} M${g.motor})${ showTS ? ' ' + g.time : '' }\n\n`;
+                report += `${g.voided ? 'VOIDED: ' : ''}GCS: ${formatGcs(g)}${ showTS ? ' ' + observedTime(g) : '' }${isLateEntry(g) ? ` (late entry, entered ${g.time})` : ''}\n`;
+                report += reportCorrectionNote(g) + '\n';
+            });
+        }
+
+        if (neuroLog.length > 0) {
+            report += `--- NEURO ---\n\n`;
+            neuroLog.forEach(n => {
+                report += `${n.voided ? 'VOIDED: ' : ''}${showTS ? observedTime(n) + ' - ' : ''}${describeNeuro(n).join('; ')}${isLateEntry(n) ? ` (late entry, entered ${n.time})` : ''}\n`;
+                (n.alerts || []).forEach(a => { report += `  ALERT: ${a}\n`; });
+                report += reportCorrectionNote(n) + '\n';
+            });
+        }
+
+        // Injuries grouped by body region (voided markings are left out)
+        if (injuryGroups.length > 0) {
+            report += `--- INJURIES ---\n\n`;
+            injuryGroups.forEach(g => {
+                report += `${g.region.label}:\n`;
+                g.injuries.forEach(i => {
+                    report += `- ${showTS ? observedTime(i) + ' - ' : ''}${describeInjuryTypes(i)}${i.note ? ` — ${i.note}` : ''}${isLateEntry(i) ? ` (late entry, entered ${i.time})` : ''}\n`;
+                    report += reportCorrectionNote(i);
+                });
+            });
+            report += '\n';
+        }
+
+        if (burnLines.length > 0) {
+            report += `--- BURNS ---\n\n`;
+            burnLines.forEach(line => { report += `${line}\n`; });
+            report += '\n';
+        }
+
+        // Treatment times are always shown, whatever the time stamp setting
+        if (treatmentLog.length > 0) {
+            report += `--- TREATMENT ---\n\n`;
+            treatmentLog.forEach(t => {
+                report += `${t.voided ? 'VOIDED: ' : ''}${observedTime(t)} - ${describeTreatment(t)}${t.givenBy ? ` (given by ${t.givenBy})` : ''}${isLateEntry(t) ? ` (late entry, entered ${t.time})` : ''}\n`;
+                if (t.repeatWarning) report += `  Repeat dose: ${t.repeatWarning}\n`;
+                report += reportCorrectionNote(t);
             });
+            report += '\n';
         }
 
         // Only include signs/symptoms if there's content
-        if (patientInfo.signsSymptoms) {
+        if (info.signsSymptoms) {
             report += `--- SIGNS / SYMPTOMS ---\n\n`;
-            report += patientInfo.signsSymptoms + '\n\n';
+            report += info.signsSymptoms + '\n\n';
         }
 
         report += `--- ADDITIONAL NOTES ---\n\n`;
         if (notesLog.length === 0) report += '(none)\n';
         else {
             notesLog.forEach(n => {
-                report += `${showTS ? n.time + ' - ' : '' }${n.note}\n`;
+                report += `${n.voided ? 'VOIDED: ' : ''}${showTS ? observedTime(n) + ' - ' : '' }${n.note}${isLateEntry(n) ? ` (late entry, entered ${n.time})` : ''}\n`;
+                report += reportCorrectionNote(n);
             });
         }
     }
 
-    const out = q('results-output');
-    if (out) out.value = report;
-    else console.warn('results-output element not found');
+    return report;
 }
 
+
 /**
  * Show results modal
  */
@@ -0,0 +1,279 @@
+/**
+ * Scene Module
+ * Named incident scenes that own their patients, scene-wide settings and the archive of closed scenes
+ */
+
+// Import patient management
+import { patients, currentPatientId, storeCurrentPatient, setPatients, showPatientPriority } from './patient.js';
+import { countDispositions, describeDisposition } from './disposition.js';
+import { getValue, setValue, q, toDateTimeLocal } from './utils.js';
+
+// Manual priority dropdown under each triage mode: [value, label]. SALT values carry their category
+// ("P4|Dead", see patient.parsePriorityValue) so a manual re-triage keeps it, and P4 is split into Expectant and Dead
+const PRIORITY_OPTIONS = {
+    START: [
+        ['P1', 'P1 - Immediate (Critical/Urgent)'],
+        ['P2', 'P2 - Urgent (Serious)'],
+        ['P3', 'P3 - Delayed (Walking Wounded)'],
+        ['P4', 'P4 - Deceased']
+    ],
+    SALT: [
+        ['P1|Immediate', 'P1 - Immediate'],
+        ['P2|Delayed', 'P2 - Delayed'],
+        ['P3|Minimal', 'P3 - Minimal'],
+        ['P4|Expectant', 'P4 - Expectant'],
+        ['P4|Dead', 'P4 - Dead']
+    ]
+};
+
+const DEFAULT_SETTINGS = {
+    triageMode: 'START', // 'START' (with JumpSTART for children) or 'SALT'
+    reassessMinutes: { P1: 5, P2: 15, P3: 30 }, // reassessment interval per priority
+    platinumMinutes: 10, // scene time target for P1 patients ("platinum ten minutes")
+    trendThresholds: {} // overrides of the deterioration rule thresholds in trends.js
+};
+
+// All scenes by id; the active scene's patients live in patient.js until it is closed
+let scenes = {};
+let currentSceneId = null;
+
+/**
+ * Create an empty, active scene record
+ */
+function createScene(settings = {}) {
+    const id = Date.now().toString();
+    scenes[id] = {
+        id,
+        incidentNumber: '',
+        location: '',
+        commander: '',
+        startIso: new Date().toISOString(),
+        closedIso: '',
+        status: 'active',
+        milestones: {}, // scene-wide milestone times (call received, en route, on scene), see milestones.js
+        settings: {
+            ...JSON.parse(JSON.stringify(DEFAULT_SETTINGS)),
+            ...settings
+        }
+    };
+    return id;
+}
+
+/**
+ * Get the active scene
+ */
+export function getCurrentScene() {
+    return scenes[currentSceneId] || null;
+}
+
+/**
+ * Get a scene's settings, the active scene's by default (defaults filled in for scenes saved before a setting existed)
+ */
+export function getSceneSettings(scene = getCurrentScene()) {
+    return { ...DEFAULT_SETTINGS, ...(scene ? scene.settings : {}) };
+}
+
+/**
+ * Get a closed scene by id (patients included)
+ */
+export function getArchivedScene(sceneId) {
+    const scene = scenes[sceneId];
+    return scene && scene.status === 'closed' ? scene : null;
+}
+
+/**
+ * Load scenes from localStorage, creating the first scene if there is none
+ */
+export function loadFromLocalStorage() {
+    const savedScenes = localStorage.getItem('scenes');
+    if (savedScenes) scenes = JSON.parse(savedScenes);
+
+    const savedSceneId = localStorage.getItem('currentSceneId');
+    if (savedSceneId && scenes[savedSceneId]) currentSceneId = savedSceneId;
+
+    if (!currentSceneId) {
+        // Settings were stored on their own before scenes existed
+        const savedSettings = localStorage.getItem('sceneSettings');
+        currentSceneId = createScene(savedSettings ? JSON.parse(savedSettings) : {});
+        localStorage.removeItem('sceneSettings');
+        saveToLocalStorage();
+    }
+}
+
+/**
+ * Save scenes to localStorage
+ */
+export function saveToLocalStorage() {
+    localStorage.setItem('scenes', JSON.stringify(scenes));
+    localStorage.setItem('currentSceneId', currentSceneId);
+}
+
+/**
+ * Handle scene detail and setting changes from the UI
+ */
+export function sceneInfoChanged() {
+    const scene = getCurrentScene();
+    if (!scene) return;
+
+    scene.incidentNumber = getValue('scene-incident-number');
+    scene.location = getValue('scene-location');
+    scene.commander = getValue('scene-commander');
+    const start = getValue('scene-start');
+    if (start && !isNaN(new Date(start).getTime())) scene.startIso = new Date(start).toISOString();
+    scene.settings.triageMode = getValue('scene-triage-mode') === 'SALT' ? 'SALT' : 'START';
+    const intervals = { ...getSceneSettings().reassessMinutes };
+    ['P1', 'P2', 'P3'].forEach(p => {
+        const minutes = parseFloat(getValue(`reassess-${p.toLowerCase()}`));
+        if (!isNaN(minutes) && minutes > 0) intervals[p] = minutes;
+    });
+    scene.settings.reassessMinutes = intervals;
+    const platinum = parseFloat(getValue('platinum-minutes'));
+    if (!isNaN(platinum) && platinum > 0) scene.settings.platinumMinutes = platinum;
+
+    saveToLocalStorage();
+    renderSceneSettings();
+}
+
+/**
+ * Merge settings into the active scene (used by modules that own their own settings UI)
+ */
+export function updateSceneSettings(changes) {
+    const scene = getCurrentScene();
+    if (!scene) return;
+    scene.settings = { ...getSceneSettings(), ...changes };
+    saveToLocalStorage();
+}
+
+/**
+ * Merge milestone times into the active scene
+ */
+export function updateSceneMilestones(changes) {
+    const scene = getCurrentScene();
+    if (!scene) return;
+    scene.milestones = { ...(scene.milestones || {}), ...changes };
+    saveToLocalStorage();
+}
+
+/**
+ * Close the active scene (archiving its patients) and start a new, empty one
+ */
+export function closeScene() {
+    const scene = getCurrentScene();
+    if (!scene) return;
+    const label = scene.incidentNumber || scene.location || 'this scene';
+    if (!confirm(`Close ${label} and start a new scene? Its patients move to the scene archive.`)) return;
+
+    storeCurrentPatient();
+    scene.patients = JSON.parse(JSON.stringify(patients));
+    scene.currentPatientId = currentPatientId;
+    scene.status = 'closed';
+    scene.closedIso = new Date().toISOString();
+
+    // The new scene starts with the same settings (triage mode, reassessment intervals, trend thresholds)
+    currentSceneId = createScene({ ...scene.settings });
+    saveToLocalStorage();
+
+    setPatients({});
+    renderSceneSettings();
+    renderSceneArchive();
+}
+
+/**
+ * Show the active scene's details and fill the priority dropdown for the triage mode
+ */
+export function renderSceneSettings() {
+    const scene = getCurrentScene();
+    if (!scene) return;
+
+    setValue('scene-incident-number', scene.incidentNumber);
+    setValue('scene-location', scene.location);
+    setValue('scene-commander', scene.commander);
+    setValue('scene-start', toDateTimeLocal(scene.startIso));
+    setValue('scene-triage-mode', scene.settings.triageMode);
+    const intervals = getSceneSettings().reassessMinutes;
+    ['P1', 'P2', 'P3'].forEach(p => setValue(`reassess-${p.toLowerCase()}`, intervals[p]));
+    setValue('platinum-minutes', getSceneSettings().platinumMinutes);
+
+    const options = PRIORITY_OPTIONS[scene.settings.triageMode] || PRIORITY_OPTIONS.START;
+    const select = q('patient-priority');
+    if (select) {
+        select.innerHTML = '<option value="">Select priority</option>'
+            + options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        showPatientPriority();
+    }
+}
+
+/**
+ * Open the archived scenes browser
+ */
+export function showSceneArchive() {
+    const modal = q('scene-archive-modal');
+    if (modal) modal.style.display = 'block';
+    renderSceneArchive();
+}
+
+/**
+ * Close the archived scenes browser
+ */
+export function closeSceneArchive() {
+    const modal = q('scene-archive-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Render the list of closed scenes (newest first)
+ */
+export function renderSceneArchive() {
+    const el = q('scene-archive-list');
+    if (!el) return; // Defensive guard
+    el.innerHTML = '';
+
+    const closed = Object.values(scenes)
+        .filter(s => s.status === 'closed')
+        .sort((a, b) => (b.closedIso || '').localeCompare(a.closedIso || ''));
+    if (closed.length === 0) {
+        el.innerHTML = '<div class="log-item meta">No archived scenes</div>';
+        return;
+    }
+
+    closed.forEach(scene => {
+        const count = Object.keys(scene.patients || {}).length;
+        const div = document.createElement('div');
+        div.className = 'log-item';
+        div.innerHTML = `
+            <div><strong>${scene.incidentNumber || 'No incident number'}</strong> — ${scene.location || 'Unknown location'}</div>
+            <div class="meta">${new Date(scene.startIso).toLocaleString()} to ${new Date(scene.closedIso).toLocaleString()} • ${count} patient${count === 1 ? '' : 's'}${scene.commander ? ' • Commander: ' + scene.commander : ''}</div>
+            <button class="btn ghost small-btn" onclick="viewArchivedScene('${scene.id}')">Open (read-only)</button>
+        `;
+        el.appendChild(div);
+    });
+}
+
+/**
+ * Show an archived scene's patients read-only, each with a handover report
+ */
+export function viewArchivedScene(sceneId) {
+    const scene = getArchivedScene(sceneId);
+    const el = q('scene-archive-detail');
+    if (!scene || !el) return;
+
+    const rows = Object.keys(scene.patients || {}).map(id => {
+        const info = scene.patients[id].info || {};
+        const name = info.name && info.name.trim() !== '' ? info.name : 'Unnamed patient';
+        const priority = info.priority
+            ? `<span class="priority-indicator priority-${info.priority.toLowerCase()}">${info.category || info.priority}</span>`
+            : '';
+        return `
+            <div class="log-item">
+              ${name} ${priority}
+              <div class="meta">${describeDisposition(scene.patients[id].disposition, (scene.patients[id].milestones || {}).departScene)}</div>
+              <button class="btn ghost small-btn" onclick="showArchivedReport('${scene.id}','${id}')">Report</button>
+            </div>`;
+    }).join('');
+
+    el.innerHTML = `
+        <h3>${scene.incidentNumber || 'No incident number'} — ${scene.location || 'Unknown location'} (read-only)</h3>
+        <div class="meta">${countDispositions(scene.patients).map(d => `${d.label}: ${d.count}`).join(' • ')}</div>
+        ${rows || '<div class="log-item meta">No patients</div>'}
+    `;
+}
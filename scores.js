@@ -0,0 +1,228 @@
+/**
+ * Early Warning Scores Module
+ * NEWS2 (adults) calculated from a vitals entry and the GCS/AVPU recorded at that time,
+ * and PEWS (children) recorded with each vitals entry
+ */
+
+import { getAgeBand, parseAgeYears, VITAL_RANGES } from './ranges.js';
+import { activeEntries } from './corrections.js';
+import { gcsBelowNormal } from './gcsscale.js';
+import { observedIso } from './utils.js';
+
+// PEWS replaces NEWS2 below this age (years)
+export const PEWS_MAX_AGE = 16;
+
+// Each band is [upper bound (inclusive), points], checked in order
+const NEWS2_BANDS = {
+    rrate: [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+    spo2: [[91, 3], [93, 2], [95, 1], [Infinity, 0]],
+    bpSys: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+    pulse: [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+    temp: [[35, 3], [36, 1], [38, 0], [39, 1], [Infinity, 2]]
+};
+
+export const NEWS2_LABELS = {
+    rrate: 'RR',
+    spo2: 'SpO₂',
+    oxygen: 'O₂',
+    bpSys: 'SBP',
+    pulse: 'HR',
+    consciousness: 'ACVPU',
+    temp: 'Temp'
+};
+
+/**
+ * Points for a value from its band table
+ */
+function bandScore(bands, value) {
+    return bands.find(([max]) => value <= max)[1];
+}
+
+/**
+ * Newest valid GCS entry observed at or before a time (GCS log is newest first);
+ * falls back to the first GCS taken after it, as GCS is often scored just after the vitals
+ */
+function gcsAt(gcsLog, iso) {
+    const log = activeEntries(gcsLog);
+    if (log.length === 0) return null;
+    return log.find(g => !iso || !observedIso(g) || observedIso(g) <= iso) || log[log.length - 1];
+}
+
+/**
+ * AVPU of the newest neuro assessment with one, observed at or before a time (neuro log is newest first), or ''
+ */
+function avpuAt(neuroLog, iso) {
+    const entry = activeEntries(neuroLog).find(n => n.avpu && (!iso || !observedIso(n) || observedIso(n) <= iso));
+    return entry ? entry.avpu : '';
+}
+
+/**
+ * NEWS2 risk band for a total (a single parameter scoring 3 raises low to low-medium)
+ */
+function news2Risk(total, hasRedScore) {
+    if (total >= 7) return { key: 'high', label: 'High' };
+    if (total >= 5) return { key: 'medium', label: 'Medium' };
+    if (hasRedScore) return { key: 'low-medium', label: 'Low-medium' };
+    return { key: 'low', label: 'Low' };
+}
+
+/**
+ * Calculate NEWS2 for one vitals entry
+ * @param {Object} vitals - vitals log entry
+ * @param {Array} gcsLog - the patient's GCS log (newest first); consciousness comes from the GCS at that time
+ * @param {Array} [neuroLog] - the patient's neuro assessments (newest first); an AVPU of V, P or U at that time scores 3
+ * @returns {{total: number, subScores: Object, missing: string[], complete: boolean, risk: {key: string, label: string}}|null}
+ *          null when no scored parameter was recorded
+ */
+export function calculateNews2(vitals, gcsLog, neuroLog = []) {
+    const subScores = {};
+    const missing = [];
+
+    Object.keys(NEWS2_BANDS).forEach(field => {
+        const value = parseFloat(vitals[field]);
+        if (isNaN(value)) missing.push(NEWS2_LABELS[field]);
+        else subScores[field] = bandScore(NEWS2_BANDS[field], value);
+    });
+    // Any supplemental oxygen scores 2; no delivery device recorded means room air
+    subScores.oxygen = vitals.o2Delivery ? 2 : 0;
+
+    // GCS below 15 is treated as new confusion (C) or worse; untested (T/NT) components only
+    // count when another component is already below normal. Without a GCS, the AVPU decides
+    const avpu = avpuAt(neuroLog, observedIso(vitals));
+    const gcsReduced = gcsBelowNormal(gcsAt(gcsLog, observedIso(vitals)));
+    if (gcsReduced === true || ['V', 'P', 'U'].includes(avpu)) subScores.consciousness = 3;
+    else if (gcsReduced === false || avpu === 'A') subScores.consciousness = 0;
+    else missing.push(NEWS2_LABELS.consciousness);
+
+    if (missing.length === Object.keys(NEWS2_BANDS).length + 1) return null;
+
+    const scores = Object.values(subScores);
+    const total = scores.reduce((sum, points) => sum + points, 0);
+    return {
+        total,
+        subScores,
+        missing,
+        complete: missing.length === 0,
+        risk: news2Risk(total, scores.includes(3))
+    };
+}
+
+/**
+ * One-line NEWS2 summary, e.g. "NEWS2 6 (Medium) — RR 2, SpO₂ 1, ..."
+ */
+export function formatNews2(news2, withSubScores = true) {
+    if (!news2) return '';
+    let text = `NEWS2 ${news2.total} (${news2.risk.label}${news2.complete ? '' : ', incomplete'})`;
+    if (withSubScores) {
+        text += ' — ' + Object.keys(NEWS2_LABELS)
+            .filter(key => news2.subScores[key] !== undefined)
+            .map(key => `${NEWS2_LABELS[key]} ${news2.subScores[key]}`)
+            .join(', ');
+    }
+    if (!news2.complete) text += ` (missing ${news2.missing.join(', ')})`;
+    return text;
+}
+
+export const PEWS_BEHAVIOUR = {
+    0: 'Playing / appropriate',
+    1: 'Sleeping',
+    2: 'Irritable',
+    3: 'Lethargic / confused / reduced response to pain'
+};
+
+export const PEWS_BREATHING = {
+    0: 'Normal, no recession',
+    1: 'Using accessory muscles',
+    2: 'Recession / tracheal tug',
+    3: 'Severe recession / grunting'
+};
+
+// Escalation by total; any single component scoring 3 also needs the emergency response
+const PEWS_ESCALATION = [
+    { min: 5, key: 'critical', label: 'Critical', guidance: 'Emergency response: treat now, pre-alert the paediatric receiving team' },
+    { min: 4, key: 'high', label: 'High', guidance: 'Urgent senior review, consider pre-alert, observations every 5 min' },
+    { min: 3, key: 'medium', label: 'Medium', guidance: 'Inform senior clinician, increase observations to every 15 min' },
+    { min: 0, key: 'low', label: 'Low', guidance: 'Continue routine observations' }
+];
+
+/**
+ * Whether an age entry should be scored with PEWS instead of NEWS2
+ */
+export function usesPews(age) {
+    const years = parseAgeYears(age);
+    return !isNaN(years) && years < PEWS_MAX_AGE;
+}
+
+/**
+ * Calculate PEWS for a vitals entry using the age-banded heart and respiratory rate ranges
+ * @param {Object} vitals - vitals entry (pulse, rrate, capRefill, skin, o2Delivery, o2Flow, behaviour, workOfBreathing)
+ * @param {string} age - patient age as entered
+ * @returns {{total: number, behaviour: number, cardiovascular: number, respiratory: number, missing: string[], escalation: Object}}
+ */
+export function calculatePews(vitals, age) {
+    const band = getAgeBand(age).key;
+    const missing = [];
+    const num = field => {
+        const value = parseFloat(vitals[field]);
+        return isNaN(value) ? null : value;
+    };
+
+    // Behaviour
+    const behaviour = num('behaviour');
+    if (behaviour === null) missing.push('behaviour');
+
+    // Cardiovascular: worst of skin colour, capillary refill and heart rate against the age range
+    const cardio = [0];
+    if (vitals.skin === 'pale') cardio.push(1);
+    if (vitals.skin === 'mottled' || vitals.skin === 'cyanotic') cardio.push(3);
+    const capRefill = num('capRefill');
+    if (capRefill !== null) cardio.push(capRefill >= 5 ? 3 : capRefill >= 4 ? 2 : capRefill >= 3 ? 1 : 0);
+    const pulse = num('pulse');
+    const [hrLow, hrHigh] = VITAL_RANGES.pulse[band].normal;
+    if (pulse === null) missing.push('heart rate');
+    else cardio.push(pulse >= hrHigh + 30 || pulse < hrLow ? 3 : pulse >= hrHigh + 20 ? 2 : pulse > hrHigh + 10 ? 1 : 0);
+
+    // Respiratory: worst of rate against the age range, work of breathing and oxygen requirement
+    const resp = [0];
+    const rrate = num('rrate');
+    const [rrLow, rrHigh] = VITAL_RANGES.rrate[band].normal;
+    if (rrate === null) missing.push('resp rate');
+    else resp.push(rrate <= rrLow - 5 ? 3 : rrate > rrHigh + 20 ? 2 : rrate > rrHigh + 10 ? 1 : 0);
+    const breathing = num('workOfBreathing');
+    if (breathing === null) missing.push('work of breathing');
+    else resp.push(breathing);
+    const o2Flow = num('o2Flow');
+    if (vitals.o2Delivery || o2Flow) resp.push(o2Flow >= 8 ? 3 : o2Flow >= 6 ? 2 : 1);
+
+    const scores = { behaviour: behaviour || 0, cardiovascular: Math.max(...cardio), respiratory: Math.max(...resp) };
+    const total = scores.behaviour + scores.cardiovascular + scores.respiratory;
+    const anyThree = Object.values(scores).includes(3);
+    const escalation = anyThree ? PEWS_ESCALATION[0] : PEWS_ESCALATION.find(e => total >= e.min);
+
+    return { total, ...scores, missing, escalation };
+}
+
+/**
+ * One-line PEWS summary, e.g. "PEWS 4 (High) — Behaviour 1, CV 2, Resp 1"
+ */
+export function formatPews(pews, withGuidance = true) {
+    if (!pews) return '';
+    let text = `PEWS ${pews.total} (${pews.escalation.label}) — Behaviour ${pews.behaviour}, CV ${pews.cardiovascular}, Resp ${pews.respiratory}`;
+    if (pews.missing.length) text += ` (missing ${pews.missing.join(', ')})`;
+    if (withGuidance) text += `. ${pews.escalation.guidance}`;
+    return text;
+}
+
+/**
+ * The early warning score for a vitals entry: the PEWS recorded with it for children, otherwise NEWS2
+ * @param {Array} gcsLog - the patient's GCS log
+ * @param {Array} [neuroLog] - the patient's neuro assessments (AVPU)
+ * @returns {{name: string, total: number, level: string, text: string}|null}
+ */
+export function getEarlyWarningScore(vitals, gcsLog, neuroLog = [], withDetail = true) {
+    if (vitals.pews) {
+        return { name: 'PEWS', total: vitals.pews.total, level: vitals.pews.escalation.key, text: formatPews(vitals.pews, withDetail) };
+    }
+    const news2 = calculateNews2(vitals, gcsLog, neuroLog);
+    return news2 ? { name: 'NEWS2', total: news2.total, level: news2.risk.key, text: formatNews2(news2, withDetail) } : null;
+}
@@ -0,0 +1,268 @@
+/**
+ * Stroke Module
+ * BE-FAST stroke screen with Los Angeles Motor Scale (LAMS) severity and a hospital pre-alert line
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { registerCorrectableLog, renderCorrectionControls, activeEntries } from './corrections.js';
+import { given, renderFieldMessages } from './validation.js';
+import { nowTimestamp, getValue, setValue, q, minutesSince, entryTimeLabel, readObservedTime, sortByObserved, toDateTimeLocal } from './utils.js';
+
+// BE-FAST findings; any positive finding makes the screen positive
+export const BEFAST = [
+    { key: 'balance', id: 'stroke-balance', label: 'Balance' },
+    { key: 'eyes', id: 'stroke-eyes', label: 'Eyes' },
+    { key: 'face', id: 'stroke-face', label: 'Face' },
+    { key: 'arm', id: 'stroke-arm', label: 'Arm' },
+    { key: 'speech', id: 'stroke-speech', label: 'Speech' }
+];
+
+// LAMS items: facial droop 0-1, arm drift 0-2, grip strength 0-2 (total 0-5)
+export const LAMS = [
+    { key: 'lamsFace', id: 'lams-face', label: 'Facial droop', max: 1 },
+    { key: 'lamsArm', id: 'lams-arm', label: 'Arm drift', max: 2 },
+    { key: 'lamsGrip', id: 'lams-grip', label: 'Grip strength', max: 2 }
+];
+
+// A LAMS of this or more suggests a large vessel occlusion
+export const LAMS_LVO_THRESHOLD = 4;
+
+// Form input by entry field
+const STROKE_INPUTS = {
+    ...Object.fromEntries([...BEFAST, ...LAMS].map(f => [f.key, f.id])),
+    lastKnownWellIso: 'stroke-lkw'
+};
+
+// Global stroke screening data
+let strokeLog = []; // newest first
+
+export function getStrokeLog() { return strokeLog; }
+
+/**
+ * Load stroke screens for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    strokeLog = record && Array.isArray(record.stroke) ? [...record.stroke] : [];
+}
+
+/**
+ * Persist stroke screens into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistStroke() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].stroke = [...strokeLog];
+        saveToLocalStorage();
+    }
+}
+
+export function setStrokeLog(arr) {
+    strokeLog = Array.isArray(arr) ? [...arr] : [];
+    renderStrokeStatus();
+}
+
+// Keep the stroke screens in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.stroke = [...strokeLog]; },
+    load: record => setStrokeLog(record.stroke)
+});
+
+// Stroke screens can be corrected or voided from the log (a voided positive screen no longer raises the alert)
+registerCorrectableLog('stroke', {
+    label: 'stroke screen',
+    getLog: () => strokeLog,
+    fields: [
+        ...BEFAST.map(f => ({ key: f.key, label: f.label, options: [['no', 'Normal'], ['yes', 'Abnormal']] })),
+        ...LAMS.map(f => ({
+            key: f.key,
+            label: `LAMS ${f.label.toLowerCase()}`,
+            options: [['', 'Not scored'], ...Array.from({ length: f.max + 1 }, (_, score) => [String(score), String(score)])]
+        })),
+        {
+            key: 'lastKnownWellIso',
+            label: 'Time last known well',
+            type: 'datetime-local',
+            format: iso => (iso ? toDateTimeLocal(iso) : ''),
+            parse: text => (text && !isNaN(new Date(text).getTime()) ? new Date(text).toISOString() : '')
+        }
+    ],
+    validate: validateStrokeEntry,
+    afterEdit: entry => {
+        entry.positive = BEFAST.some(f => entry[f.key] === 'yes');
+        entry.lamsTotal = calculateLams(entry);
+    },
+    save: () => {
+        persistStroke();
+        renderStrokeStatus();
+    }
+});
+
+/**
+ * Check a stroke screen: every BE-FAST item answered, LAMS scored fully or not at all,
+ * and a last-known-well time that is not in the future
+ * @param {Object} entry - stroke screen (balance, ..., lamsFace, ..., lastKnownWellIso)
+ * @returns {{errors: Object, warnings: Object}} errors keyed by entry field
+ */
+export function validateStrokeEntry(entry, now = Date.now()) {
+    const errors = {};
+    BEFAST.forEach(f => {
+        if (!given(entry[f.key])) errors[f.key] = 'Select a finding';
+    });
+    const unscored = LAMS.filter(f => !given(entry[f.key]));
+    if (unscored.length > 0 && unscored.length < LAMS.length) {
+        unscored.forEach(f => { errors[f.key] = 'Score every LAMS item or leave all blank'; });
+    }
+    if (entry.lastKnownWellIso && new Date(entry.lastKnownWellIso).getTime() > now + 60000) {
+        errors.lastKnownWellIso = 'Last known well cannot be in the future';
+    }
+    return { errors, warnings: {} };
+}
+
+/**
+ * LAMS total, or null unless every item was scored
+ */
+export function calculateLams(entry) {
+    const scores = LAMS.map(item => parseInt(entry[item.key]));
+    return scores.some(isNaN) ? null : scores.reduce((sum, s) => sum + s, 0);
+}
+
+/**
+ * Latest stroke screen in a patient record (voided screens are ignored)
+ */
+export function latestStrokeScreen(record) {
+    return activeEntries(record ? record.stroke : [])[0] || null;
+}
+
+/**
+ * "1 h 35 min" for a number of minutes
+ */
+function formatElapsed(minutes) {
+    if (minutes === null) return '';
+    return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+/**
+ * Last known well as clock time with elapsed time, e.g. "14:20 (1 h 35 min ago)"
+ */
+export function describeLastKnownWell(entry, now = Date.now()) {
+    if (!entry || !entry.lastKnownWellIso) return 'not known';
+    const d = new Date(entry.lastKnownWellIso);
+    const clock = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    return `${clock} (${formatElapsed(minutesSince(entry.lastKnownWellIso, now))} ago)`;
+}
+
+/**
+ * One-line result, e.g. "BE-FAST POSITIVE (Face, Arm) — LAMS 4/5, possible large vessel occlusion"
+ */
+export function describeStrokeScreen(entry) {
+    const positives = BEFAST.filter(item => entry[item.key] === 'yes').map(item => item.label);
+    let text = entry.positive ? `BE-FAST POSITIVE (${positives.join(', ')})` : 'BE-FAST negative';
+    if (entry.lamsTotal !== null && entry.lamsTotal !== undefined) {
+        text += ` — LAMS ${entry.lamsTotal}/5${entry.lamsTotal >= LAMS_LVO_THRESHOLD ? ', possible large vessel occlusion' : ''}`;
+    }
+    return text;
+}
+
+/**
+ * Short pre-alert the crew can read to the receiving hospital
+ * @param {Object} entry - stroke screen
+ * @param {Object} record - patient record ({ info, vitals })
+ */
+export function strokePreAlert(entry, record, now = Date.now()) {
+    const info = (record && record.info) || {};
+    const parts = [`Stroke pre-alert: ${info.age ? `${info.age}y` : 'age unknown'} patient`];
+    parts.push(describeStrokeScreen(entry));
+    parts.push(`Last known well ${describeLastKnownWell(entry, now)}`);
+    // Hypoglycaemia is the commonest stroke mimic, so the receiving team will ask for it
+    const withHgt = activeEntries(record ? record.vitals : []).find(v => v.hgt);
+    parts.push(withHgt ? `HGT ${withHgt.hgt} mmol/L` : 'HGT not recorded');
+    return parts.join('. ') + '.';
+}
+
+/**
+ * Findings entered in the stroke form, keyed by entry field
+ */
+function readStrokeForm() {
+    const lastKnownWell = getValue('stroke-lkw');
+    const values = { lastKnownWellIso: lastKnownWell ? new Date(lastKnownWell).toISOString() : '' };
+    [...BEFAST, ...LAMS].forEach(f => { values[f.key] = getValue(f.id); });
+    return values;
+}
+
+/**
+ * Show a screen's errors next to the form inputs
+ * @returns {boolean} true when the screen can be submitted
+ */
+function checkStrokeForm(values) {
+    const { errors } = validateStrokeEntry(values);
+    const byInput = {};
+    Object.keys(errors).forEach(key => { byInput[STROKE_INPUTS[key]] = errors[key]; });
+    renderFieldMessages(Object.values(STROKE_INPUTS), byInput);
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Submit a stroke screen
+ */
+export function submitStroke() {
+    const values = readStrokeForm();
+    if (!checkStrokeForm(values)) return;
+
+    const item = {
+        time: nowTimestamp(),
+        iso: new Date().toISOString(),
+        ...values,
+        ...readObservedTime('stroke-observed')
+    };
+    item.positive = BEFAST.some(f => item[f.key] === 'yes');
+    item.lamsTotal = calculateLams(item);
+
+    strokeLog.unshift(item);
+    sortByObserved(strokeLog);
+    if (strokeLog.length > 200) strokeLog.length = 200;
+
+    persistStroke();
+    renderStrokeStatus();
+    clearStrokeInputs();
+}
+
+/**
+ * Clear stroke inputs
+ */
+export function clearStrokeInputs() {
+    [...BEFAST, ...LAMS].forEach(item => setValue(item.id, ''));
+    setValue('stroke-lkw', '');
+    setValue('stroke-observed', '');
+    renderFieldMessages(Object.values(STROKE_INPUTS));
+}
+
+/**
+ * Show the latest screen, its pre-alert line and earlier screens
+ */
+export function renderStrokeStatus() {
+    const latest = activeEntries(strokeLog)[0];
+    const result = q('stroke-result');
+    if (result) {
+        const positive = latest && latest.positive;
+        result.className = positive ? 'alert-banner alert-red' : 'alert-banner alert-none';
+        result.textContent = positive ? `🚨 STROKE ALERT — ${describeStrokeScreen(latest)}. Last known well ${describeLastKnownWell(latest)}` : '';
+    }
+    const preAlert = q('stroke-prealert');
+    if (preAlert) preAlert.textContent = latest && latest.positive ? strokePreAlert(latest, { info: patientInfo, vitals: getCurrentPatientRecord()?.vitals }) : '';
+
+    const el = q('stroke-log');
+    if (!el) return; // Defensive guard
+    el.innerHTML = '';
+    if (strokeLog.length === 0) {
+        el.innerHTML = '<div class="log-item meta">No stroke screen recorded yet</div>';
+        return;
+    }
+    strokeLog.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = item.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(item)}</strong> — ${describeStrokeScreen(item)} • LKW ${describeLastKnownWell(item)}</div>${renderCorrectionControls('stroke', index, item)}`;
+        el.appendChild(div);
+    });
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'start-rescue-cache-v3'; // Increased version to force update
+const CACHE_NAME = 'start-rescue-cache-v25'; // Increased version to force update
 const urlsToCache = [
     './',
     './index.html',
@@ -7,12 +7,31 @@ const urlsToCache = [
     './patient.js',
     './vitals.js',
     './gcs.js',
+    './gcsscale.js',
+    './neuro.js',
+    './stroke.js',
+    './bodymap.js',
+    './burns.js',
+    './mechanism.js',
+    './milestones.js',
+    './disposition.js',
+    './treatments.js',
     './notes.js',
     './cpr.js',
     './results.js',
+    './dashboard.js',
+    './reassess.js',
+    './trends.js',
+    './ranges.js',
+    './scores.js',
+    './haemodynamics.js',
+    './trendchart.js',
+    './corrections.js',
+    './validation.js',
+    './scene.js',
+    './triage.js',
+    './utils.js',
     './manifest.json',
-    // External dependencies
-    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
     // Add any image files (like icon-512.png) here
     './icon-512.png' 
 ];
@@ -38,14 +57,7 @@ self.addEventListener('fetch', event => {
           return response;
         }
         // No cache hit - fetch from network
-        return fetch(event.request).catch(error => {
-          // Fallback response for specific URLs if network fails
-          if (event.request.url.includes('chart.umd.min.js')) {
-            // Can't return a chart here, so just let it fail or return a simple error
-            console.error("Chart.js failed to load from network and cache.");
-          }
-          throw error;
-        });
+        return fetch(event.request);
       })
   );
 });
@@ -0,0 +1,336 @@
+import { test, expect } from '@playwright/test';
+import { calculateNews2, calculatePews } from '../scores.js';
+import { calculateTbsa, parklandFluids } from '../burns.js';
+import { evaluateTraumaCriteria } from '../mechanism.js';
+import { repeatDoseWarning, validateTreatmentEntry } from '../treatments.js';
+import { getReassessmentStatus } from '../reassess.js';
+import { TRIAGE_ALGORITHMS } from '../triage.js';
+import { parsePriorityValue } from '../patient.js';
+
+// Clinical calculations run without the app page, straight from the modules
+
+const NORMAL_ADULT = { rrate: '16', spo2: '97', bpSys: '120', pulse: '72', temp: '37', iso: '2024-05-01T10:00:00.000Z' };
+const GCS_15 = [{ eye: '4', verbal: '5', motor: '6', iso: '2024-05-01T09:58:00.000Z' }];
+
+test.describe('NEWS2', () => {
+  test('normal adult observations score 0 (low)', () => {
+    const news2 = calculateNews2(NORMAL_ADULT, GCS_15);
+    expect(news2.total).toBe(0);
+    expect(news2.complete).toBe(true);
+    expect(news2.risk.key).toBe('low');
+  });
+
+  test('scores each parameter from its bands', () => {
+    expect(calculateNews2({ ...NORMAL_ADULT, rrate: '8' }, GCS_15).subScores.rrate).toBe(3);
+    expect(calculateNews2({ ...NORMAL_ADULT, rrate: '21' }, GCS_15).subScores.rrate).toBe(2);
+    expect(calculateNews2({ ...NORMAL_ADULT, spo2: '93' }, GCS_15).subScores.spo2).toBe(2);
+    expect(calculateNews2({ ...NORMAL_ADULT, bpSys: '90' }, GCS_15).subScores.bpSys).toBe(3);
+    expect(calculateNews2({ ...NORMAL_ADULT, bpSys: '91' }, GCS_15).subScores.bpSys).toBe(2);
+    expect(calculateNews2({ ...NORMAL_ADULT, bpSys: '220' }, GCS_15).subScores.bpSys).toBe(3);
+    expect(calculateNews2({ ...NORMAL_ADULT, pulse: '131' }, GCS_15).subScores.pulse).toBe(3);
+    expect(calculateNews2({ ...NORMAL_ADULT, temp: '39.1' }, GCS_15).subScores.temp).toBe(2);
+    expect(calculateNews2({ ...NORMAL_ADULT, o2Delivery: 'nasal' }, GCS_15).subScores.oxygen).toBe(2);
+  });
+
+  test('risk bands: a single 3 is low-medium, 5 medium, 7 high', () => {
+    expect(calculateNews2({ ...NORMAL_ADULT, rrate: '25' }, GCS_15).risk.key).toBe('low-medium');
+    expect(calculateNews2({ ...NORMAL_ADULT, rrate: '22', pulse: '115', temp: '38.5' }, GCS_15).risk.key).toBe('medium');
+    expect(calculateNews2({ ...NORMAL_ADULT, rrate: '25', spo2: '92', pulse: '115' }, GCS_15).risk.key).toBe('high');
+  });
+
+  test('a reduced GCS scores consciousness 3', () => {
+    const news2 = calculateNews2(NORMAL_ADULT, [{ ...GCS_15[0], verbal: '4' }]);
+    expect(news2.subScores.consciousness).toBe(3);
+    expect(news2.risk.key).toBe('low-medium');
+  });
+
+  test('without a GCS, the AVPU recorded at the time decides consciousness', () => {
+    const voice = [{ avpu: 'V', iso: '2024-05-01T09:55:00.000Z' }];
+    expect(calculateNews2(NORMAL_ADULT, [], voice).subScores.consciousness).toBe(3);
+    const alert = [{ avpu: 'A', iso: '2024-05-01T09:55:00.000Z' }];
+    expect(calculateNews2(NORMAL_ADULT, [], alert).subScores.consciousness).toBe(0);
+  });
+
+  test('consciousness is missing when no GCS or AVPU was recorded by then', () => {
+    const later = [{ avpu: 'U', iso: '2024-05-01T10:30:00.000Z' }];
+    const news2 = calculateNews2(NORMAL_ADULT, [], later);
+    expect(news2.subScores.consciousness).toBeUndefined();
+    expect(news2.missing).toContain('ACVPU');
+    expect(news2.complete).toBe(false);
+  });
+
+  test('is null when nothing scored was recorded', () => {
+    expect(calculateNews2({}, [])).toBeNull();
+  });
+});
+
+test.describe('PEWS', () => {
+  const NORMAL_CHILD = { behaviour: '0', capRefill: '2', pulse: '100', rrate: '24', workOfBreathing: '0' };
+
+  test('normal observations for a 5 year old score 0 (low)', () => {
+    const pews = calculatePews(NORMAL_CHILD, '5');
+    expect(pews.total).toBe(0);
+    expect(pews.missing).toEqual([]);
+    expect(pews.escalation.key).toBe('low');
+  });
+
+  test('adds behaviour, cardiovascular and respiratory scores', () => {
+    const pews = calculatePews({ ...NORMAL_CHILD, behaviour: '1', pulse: '145', rrate: '45' }, '5');
+    expect(pews.behaviour).toBe(1);
+    expect(pews.cardiovascular).toBe(1);
+    expect(pews.respiratory).toBe(1);
+    expect(pews.total).toBe(3);
+    expect(pews.escalation.key).toBe('medium');
+  });
+
+  test('heart rate is scored against the age range', () => {
+    expect(calculatePews({ ...NORMAL_CHILD, pulse: '145' }, '5').cardiovascular).toBe(1);
+    expect(calculatePews({ ...NORMAL_CHILD, pulse: '145' }, '6m').cardiovascular).toBe(0);
+  });
+
+  test('any single score of 3 is critical', () => {
+    const pews = calculatePews({ ...NORMAL_CHILD, skin: 'mottled' }, '5');
+    expect(pews.total).toBe(3);
+    expect(pews.escalation.key).toBe('critical');
+  });
+
+  test('oxygen flow raises the respiratory score', () => {
+    expect(calculatePews({ ...NORMAL_CHILD, o2Delivery: 'mask', o2Flow: '8' }, '5').respiratory).toBe(3);
+  });
+
+  test('lists the parameters that were not recorded', () => {
+    expect(calculatePews({}, '5').missing).toEqual(['behaviour', 'heart rate', 'resp rate', 'work of breathing']);
+  });
+});
+
+test.describe('Burns', () => {
+  test('%TBSA counts partial and full thickness burns but not superficial ones', () => {
+    const regions = { chest: 'superficial-partial', abdomen: 'full', 'right-thigh': 'superficial' };
+    expect(calculateTbsa(regions, '40')).toBe(18);
+  });
+
+  test('children are charted with Lund-Browder by age', () => {
+    expect(calculateTbsa({ head: 'full' }, '40')).toBe(3.5);
+    expect(calculateTbsa({ head: 'full' }, '1')).toBe(8.5);
+    expect(calculateTbsa({ head: 'full' }, '12')).toBe(5.5);
+  });
+
+  test('Parkland gives 4 mL/kg/%TBSA with half in the first 8 hours', () => {
+    expect(parklandFluids(18, '70')).toEqual({ total: 5040, firstPeriod: 2520 });
+  });
+
+  test('Parkland needs a weight and a counted burn', () => {
+    expect(parklandFluids(18, '')).toBeNull();
+    expect(parklandFluids(0, '70')).toBeNull();
+  });
+});
+
+test.describe('Trauma triage criteria', () => {
+  const SHOCKED = { info: { age: '60' }, vitals: [{ rrate: '32', spo2: '95', bpSys: '80', pulse: '120' }], gcs: [] };
+
+  test('abnormal physiology alone does not meet the criteria for a medical patient', () => {
+    const result = evaluateTraumaCriteria({ ...SHOCKED, mechanism: {} });
+    expect(result.meets).toBe(false);
+    expect(result.level).toBeNull();
+  });
+
+  test('an injured patient with abnormal physiology meets the highest level', () => {
+    const result = evaluateTraumaCriteria({ ...SHOCKED, mechanism: { traumaPatient: true } });
+    expect(result.meets).toBe(true);
+    expect(result.level).toBe('red');
+    expect(result.reasons.map(r => r.text)).toEqual([
+      'Respiratory rate 32/min',
+      'Systolic BP 80 mmHg (below 90)',
+      'Pulse 120 above systolic BP 80'
+    ]);
+  });
+
+  test('a body map injury marks the patient as injured', () => {
+    const result = evaluateTraumaCriteria({ ...SHOCKED, mechanism: {}, injuries: [{ region: 'chest' }] });
+    expect(result.level).toBe('red');
+  });
+
+  test('a mechanism alone meets the mechanism level', () => {
+    const result = evaluateTraumaCriteria({ info: {}, vitals: [], gcs: [], mechanism: { fallHeightM: '4' } });
+    expect(result.level).toBe('yellow');
+    expect(result.reasons[0].text).toBe('Fall from 4 m (over 3 m)');
+  });
+
+  test('high-risk penetrating injury meets the highest level', () => {
+    const result = evaluateTraumaCriteria({ info: {}, vitals: [], gcs: [], mechanism: { penetrating: ['distal-limb', 'torso'] } });
+    expect(result.level).toBe('red');
+    expect(result.reasons.map(r => r.text)).toEqual(['Penetrating injury to torso']);
+  });
+});
+
+test.describe('Repeat doses', () => {
+  const given = Date.parse('2024-05-01T10:00:00.000Z');
+  const log = [{ kind: 'drug', drug: 'Morphine', dose: '2.5', unit: 'mg', route: 'IV', iso: new Date(given).toISOString() }];
+  const minutesLater = minutes => given + minutes * 60000;
+
+  test('warns when a drug is repeated inside its minimum interval', () => {
+    const warning = repeatDoseWarning(log, 'Morphine', minutesLater(3));
+    expect(warning).toContain('Morphine was last given at');
+    expect(warning).toContain('(3 min before) — minimum interval 5 min');
+  });
+
+  test('matches the drug name regardless of case and spacing', () => {
+    expect(repeatDoseWarning(log, ' morphine ', minutesLater(3))).not.toBe('');
+  });
+
+  test('no warning once the interval has passed', () => {
+    expect(repeatDoseWarning(log, 'Morphine', minutesLater(5))).toBe('');
+  });
+
+  test('voided doses, other drugs and drugs without an interval are ignored', () => {
+    expect(repeatDoseWarning([{ ...log[0], voided: true }], 'Morphine', minutesLater(3))).toBe('');
+    expect(repeatDoseWarning(log, 'GTN', minutesLater(3))).toBe('');
+    expect(repeatDoseWarning([{ ...log[0], drug: 'Ketamine' }], 'Ketamine', minutesLater(3))).toBe('');
+  });
+});
+
+test.describe('Treatment entries', () => {
+  const dose = { kind: 'drug', drug: 'Morphine', dose: '2.5', unit: 'mg', route: 'IV' };
+
+  test('a complete dose is accepted', () => {
+    expect(validateTreatmentEntry(dose).errors).toEqual({});
+  });
+
+  test('a dose needs unit and route and a dose above 0', () => {
+    expect(validateTreatmentEntry({ ...dose, unit: '', route: '' }).errors).toEqual({ unit: 'Select a unit', route: 'Select a route' });
+    expect(validateTreatmentEntry({ ...dose, dose: '0' }).errors.dose).toBe('Dose must be a number above 0');
+    expect(validateTreatmentEntry({ ...dose, dose: 'two' }).errors.dose).toBe('Dose must be a number above 0');
+  });
+
+  test('a procedure only needs its name', () => {
+    expect(validateTreatmentEntry({ kind: 'procedure', procedure: 'IO access' }).errors).toEqual({});
+    expect(validateTreatmentEntry({ kind: 'procedure', procedure: '' }).errors).toEqual({ procedure: 'Enter or pick a procedure' });
+  });
+});
+
+test.describe('Reassessment', () => {
+  const now = Date.parse('2024-05-01T11:00:00.000Z');
+  const P1_AN_HOUR_AGO = { info: { priority: 'P1' }, vitals: [{ pulse: '120', iso: '2024-05-01T10:00:00.000Z' }], gcs: [] };
+
+  test('a patient on scene is overdue after their priority interval', () => {
+    const status = getReassessmentStatus('1714557600000', P1_AN_HOUR_AGO, now);
+    expect(status.overdue).toBe(true);
+    expect(status.dueInSeconds).toBe(-55 * 60);
+  });
+
+  test('a departed or deceased patient is never overdue', () => {
+    ['transported', 'handed-over', 'released', 'refused', 'deceased'].forEach(disposition => {
+      const status = getReassessmentStatus('1714557600000', { ...P1_AN_HOUR_AGO, disposition: { status: disposition } }, now);
+      expect(status.overdue).toBe(false);
+      expect(status.dueInSeconds).toBeNull();
+    });
+  });
+});
+
+/**
+ * Walk a triage algorithm's steps: 'yes'/'no'/'done' answers a question, a number answers a vital step from its value
+ */
+function triage(algorithm, ...answers) {
+  const { first, steps } = TRIAGE_ALGORITHMS[algorithm];
+  let key = first;
+  for (const answer of answers) {
+    const step = steps[key];
+    const outcome = step[typeof answer === 'number' ? (step.test(answer) ? 'yes' : 'no') : answer];
+    if (!outcome.next) return outcome;
+    key = outcome.next;
+  }
+  throw new Error(`${algorithm} triage stopped at ${key}`);
+}
+
+test.describe('S.T.A.R.T. triage', () => {
+  test('walking wounded are delayed (P3)', () => {
+    expect(triage('START', 'yes').priority).toBe('P3');
+  });
+
+  test('not breathing after airway repositioning is deceased (P4), breathing after it is immediate', () => {
+    expect(triage('START', 'no', 'no', 'no').priority).toBe('P4');
+    expect(triage('START', 'no', 'no', 'yes').priority).toBe('P1');
+  });
+
+  test('respiratory rate over 30 is immediate; 30 goes on to perfusion', () => {
+    expect(triage('START', 'no', 'yes', 31).priority).toBe('P1');
+    expect(() => triage('START', 'no', 'yes', 30)).toThrow('stopped at perfusion');
+  });
+
+  test('capillary refill over 2 s is immediate', () => {
+    expect(triage('START', 'no', 'yes', 20, 3).priority).toBe('P1');
+    expect(() => triage('START', 'no', 'yes', 20, 2)).toThrow('stopped at mental');
+  });
+
+  test('obeying commands is urgent (P2), not obeying is immediate', () => {
+    expect(triage('START', 'no', 'yes', 20, 2, 'yes').priority).toBe('P2');
+    expect(triage('START', 'no', 'yes', 20, 2, 'no').priority).toBe('P1');
+  });
+});
+
+test.describe('JumpSTART triage', () => {
+  test('a child who can walk is delayed (P3)', () => {
+    expect(triage('JUMPSTART', 'yes').priority).toBe('P3');
+  });
+
+  test('breathing after airway repositioning is immediate', () => {
+    expect(triage('JUMPSTART', 'no', 'no', 'yes').priority).toBe('P1');
+  });
+
+  test('an apnoeic child with a pulse gets 5 rescue breaths', () => {
+    expect(triage('JUMPSTART', 'no', 'no', 'no', 'yes', 'yes').priority).toBe('P1');
+    expect(triage('JUMPSTART', 'no', 'no', 'no', 'yes', 'no').priority).toBe('P4');
+  });
+
+  test('an apnoeic child without a pulse is deceased (P4)', () => {
+    expect(triage('JUMPSTART', 'no', 'no', 'no', 'no').priority).toBe('P4');
+  });
+
+  test('respiratory rate outside 15-45 is immediate', () => {
+    expect(triage('JUMPSTART', 'no', 'yes', 14).priority).toBe('P1');
+    expect(triage('JUMPSTART', 'no', 'yes', 46).priority).toBe('P1');
+    expect(() => triage('JUMPSTART', 'no', 'yes', 15)).toThrow('stopped at pulse');
+    expect(() => triage('JUMPSTART', 'no', 'yes', 45)).toThrow('stopped at pulse');
+  });
+
+  test('no palpable pulse is immediate', () => {
+    expect(triage('JUMPSTART', 'no', 'yes', 30, 'no').priority).toBe('P1');
+  });
+
+  test('appropriate AVPU is urgent (P2); posturing or unresponsive is immediate', () => {
+    expect(triage('JUMPSTART', 'no', 'yes', 30, 'yes', 'yes').priority).toBe('P2');
+    expect(triage('JUMPSTART', 'no', 'yes', 30, 'yes', 'no').priority).toBe('P1');
+  });
+});
+
+test.describe('SALT triage', () => {
+  // Walking patients go straight to lifesaving interventions; the checklist is answered 'done'
+  const assessed = (...answers) => triage('SALT', 'yes', 'done', ...answers);
+
+  test('not breathing after lifesaving interventions is Dead', () => {
+    expect(triage('SALT', 'no', 'no', 'done', 'no')).toEqual({ priority: 'P4', category: 'Dead' });
+  });
+
+  test('any failed individual assessment asks whether the patient is likely to survive', () => {
+    expect(assessed('yes', 'no', 'yes')).toEqual({ priority: 'P1', category: 'Immediate' });
+    expect(assessed('yes', 'yes', 'no', 'yes')).toEqual({ priority: 'P1', category: 'Immediate' });
+    expect(assessed('yes', 'yes', 'yes', 'no', 'yes')).toEqual({ priority: 'P1', category: 'Immediate' });
+    expect(assessed('yes', 'yes', 'yes', 'yes', 'no', 'yes')).toEqual({ priority: 'P1', category: 'Immediate' });
+  });
+
+  test('unlikely to survive is Expectant, kept apart from Dead', () => {
+    expect(assessed('yes', 'no', 'no')).toEqual({ priority: 'P4', category: 'Expectant' });
+  });
+
+  test('passing every assessment is Minimal with minor injuries only, otherwise Delayed', () => {
+    expect(assessed('yes', 'yes', 'yes', 'yes', 'yes', 'yes')).toEqual({ priority: 'P3', category: 'Minimal' });
+    expect(assessed('yes', 'yes', 'yes', 'yes', 'yes', 'no')).toEqual({ priority: 'P2', category: 'Delayed' });
+  });
+
+  test('priority options carry the SALT category', () => {
+    expect(parsePriorityValue('P4|Dead')).toEqual({ priority: 'P4', category: 'Dead' });
+    expect(parsePriorityValue('P4|Expectant')).toEqual({ priority: 'P4', category: 'Expectant' });
+    expect(parsePriorityValue('P2')).toEqual({ priority: 'P2', category: '' });
+    expect(parsePriorityValue('')).toEqual({ priority: '', category: '' });
+  });
+});
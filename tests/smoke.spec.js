@@ -41,6 +41,27 @@ test.describe('S.T.A.R.T-Rescue smoke', () => {
     await page.waitForSelector('#vitals-log .log-item', { timeout: 5000 });
     expect(await page.locator('#vitals-log').innerText()).toContain('Pulse');
 
+    // Validation - an impossible value is reported inline and not recorded
+    await page.fill('#pulse', '720');
+    await page.evaluate(() => window.submitVitals());
+    await expect(page.locator('#pulse-error')).toHaveText('Pulse must be between 0 and 300');
+    expect(await page.locator('#vitals-log .log-item').count()).toBe(1);
+    await page.fill('#pulse', '');
+
+    // Corrections - the same limits apply, and a saved correction marks the entry amended
+    await page.evaluate(() => window.editLogEntry('vitals', 0));
+    await expect(page.locator('#entry-edit-modal')).toBeVisible();
+    await page.fill('#entry-edit-pulse', '720');
+    await page.evaluate(() => window.saveLogEntryEdit());
+    await expect(page.locator('#entry-edit-pulse-error')).toHaveText('Pulse must be between 0 and 300');
+    await page.fill('#entry-edit-pulse', '76');
+    await page.fill('#entry-edit-reason', 'Typo');
+    await page.evaluate(() => window.saveLogEntryEdit());
+    await expect(page.locator('#entry-edit-modal')).toBeHidden();
+    const vitalsLogText = await page.locator('#vitals-log').innerText();
+    expect(vitalsLogText).toContain('AMENDED');
+    expect(vitalsLogText).toContain('76');
+
     // GCS
     await page.click('text=GCS');
     await page.check('input[name="gcs-eye"][value="4"]');
@@ -62,9 +83,28 @@ test.describe('S.T.A.R.T-Rescue smoke', () => {
     await page.waitForTimeout(1200);
     await page.evaluate(() => window.stopCPR());
 
-    const cprTimeline = await page.evaluate(() => JSON.parse(localStorage.getItem('cprTimeline') || '[]'));
+    const cprTimeline = await page.evaluate(() => {
+      const patients = JSON.parse(localStorage.getItem('patients') || '{}');
+      const current = patients[localStorage.getItem('currentPatientId')];
+      return (current && current.cpr && current.cpr.timeline) || [];
+    });
     expect(cprTimeline.length).toBeGreaterThan(0);
 
+    // SALT - a manual priority change keeps the category chosen, and Dead stays apart from Expectant
+    await page.evaluate(() => {
+      document.getElementById('scene-triage-mode').value = 'SALT';
+      window.sceneInfoChanged();
+      document.getElementById('patient-priority').value = 'P4|Dead';
+      window.patientPriorityChanged();
+    });
+    expect(await page.locator('#patient-priority').inputValue()).toBe('P4|Dead');
+    const priorityInfo = await page.evaluate(() => {
+      const patients = JSON.parse(localStorage.getItem('patients') || '{}');
+      return patients[localStorage.getItem('currentPatientId')].info;
+    });
+    expect(priorityInfo.priority).toBe('P4');
+    expect(priorityInfo.category).toBe('Dead');
+
     // Results
     await page.evaluate(() => window.showResults());
     await page.waitForSelector('#results-output', { timeout: 3000 });
@@ -0,0 +1,287 @@
+/**
+ * Treatments Module
+ * Medication administration and procedure record for every patient, with quick picks and a warning
+ * when a drug is logged again inside its minimum repeat interval
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { registerCorrectableLog, renderCorrectionControls, activeEntries } from './corrections.js';
+import { given, renderFieldMessages } from './validation.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, observedIso, entryTimeLabel, sortByObserved, formatClock } from './utils.js';
+
+// Quick-pick drugs with a usual adult dose; `minIntervalMinutes` is the shortest time before the same drug may be repeated
+export const DRUGS = [
+    { name: 'Adrenaline 1:1000', dose: '0.5', unit: 'mg', route: 'IM', minIntervalMinutes: 5 },
+    { name: 'Aspirin', dose: '300', unit: 'mg', route: 'PO', minIntervalMinutes: 1440 },
+    { name: 'GTN', dose: '400', unit: 'mcg', route: 'SL', minIntervalMinutes: 5 },
+    { name: 'Salbutamol', dose: '5', unit: 'mg', route: 'NEB', minIntervalMinutes: 5 },
+    { name: 'Morphine', dose: '2.5', unit: 'mg', route: 'IV', minIntervalMinutes: 5 },
+    { name: 'Paracetamol', dose: '1', unit: 'g', route: 'IV', minIntervalMinutes: 240 },
+    { name: 'Ondansetron', dose: '4', unit: 'mg', route: 'IV', minIntervalMinutes: 480 },
+    { name: 'Naloxone', dose: '400', unit: 'mcg', route: 'IV', minIntervalMinutes: 2 },
+    { name: 'Tranexamic acid', dose: '1', unit: 'g', route: 'IV', minIntervalMinutes: 480 },
+    { name: 'Glucose 10%', dose: '100', unit: 'mL', route: 'IV', minIntervalMinutes: 5 }
+];
+
+export const PROCEDURES = [
+    'IV access', 'IO access', 'OPA', 'NPA', 'Supraglottic airway', 'Oxygen started', 'Oxygen stopped',
+    'C-spine immobilisation', 'Splint', 'Traction splint', 'Pelvic binder', 'Tourniquet', 'Wound packing'
+];
+
+// Stored entry field -> [form input id, message when it is missing]
+const REQUIRED_FIELDS = {
+    drug: ['treatment-drug', 'Enter or pick a drug'],
+    dose: ['treatment-dose', 'Enter the dose'],
+    unit: ['treatment-unit', 'Select a unit'],
+    route: ['treatment-route', 'Select a route'],
+    procedure: ['procedure-name', 'Enter or pick a procedure']
+};
+const REQUIRED_INPUTS = Object.values(REQUIRED_FIELDS).map(([id]) => id);
+
+// Global treatment data
+let treatmentLog = []; // newest first
+
+export function getTreatmentLog() { return treatmentLog; }
+
+/**
+ * Load treatments for the current patient (patients are persisted by patient.js)
+ */
+export function loadFromLocalStorage() {
+    const record = getCurrentPatientRecord();
+    treatmentLog = record && Array.isArray(record.treatments) ? [...record.treatments] : [];
+}
+
+/**
+ * Persist treatments into the current patient object and save using patient.saveToLocalStorage
+ */
+export function persistTreatments() {
+    if (currentPatientId) {
+        patients[currentPatientId] = patients[currentPatientId] || { info: {...patientInfo}, vitals: [], gcs: [], notes: [] };
+        patients[currentPatientId].treatments = [...treatmentLog];
+        saveToLocalStorage();
+    }
+}
+
+export function setTreatmentLog(arr) {
+    treatmentLog = Array.isArray(arr) ? [...arr] : [];
+    renderTreatmentLog();
+}
+
+// Keep the treatments in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.treatments = [...treatmentLog]; },
+    load: record => setTreatmentLog(record.treatments)
+});
+
+// Treatments can be corrected or voided from the log
+registerCorrectableLog('treatments', {
+    label: 'treatment',
+    getLog: () => treatmentLog,
+    fields: [
+        { key: 'dose', label: 'Dose' },
+        { key: 'unit', label: 'Unit' },
+        { key: 'route', label: 'Route' },
+        { key: 'details', label: 'Details' },
+        { key: 'givenBy', label: 'Given by' }
+    ],
+    validate: validateTreatmentEntry,
+    save: () => {
+        persistTreatments();
+        renderTreatmentLog();
+    }
+});
+
+/**
+ * Check a medication or procedure: its required fields are filled in and a dose is a number above 0
+ * @param {Object} entry - treatment entry (kind, drug, dose, unit, route or procedure)
+ * @returns {{errors: Object, warnings: Object}} errors keyed by entry field
+ */
+export function validateTreatmentEntry(entry) {
+    const required = entry.kind === 'procedure' ? ['procedure'] : ['drug', 'dose', 'unit', 'route'];
+    const errors = {};
+    required.forEach(key => {
+        if (!given(entry[key])) errors[key] = REQUIRED_FIELDS[key][1];
+    });
+    const dose = Number(entry.dose);
+    if (entry.kind !== 'procedure' && !errors.dose && (isNaN(dose) || dose <= 0)) errors.dose = 'Dose must be a number above 0';
+    return { errors, warnings: {} };
+}
+
+/**
+ * Show a new entry's errors next to the form inputs
+ * @returns {boolean} true when the entry can be logged
+ */
+function checkTreatmentForm(entry) {
+    const { errors } = validateTreatmentEntry(entry);
+    const byInput = {};
+    Object.keys(errors).forEach(key => { byInput[REQUIRED_FIELDS[key][0]] = errors[key]; });
+    renderFieldMessages(REQUIRED_INPUTS, byInput);
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Treatment as one line, e.g. "Morphine 2.5 mg IV" or "IO access — right tibia"
+ */
+export function describeTreatment(entry) {
+    if (entry.kind === 'procedure') return `${entry.procedure}${entry.details ? ` — ${entry.details}` : ''}`;
+    return [entry.drug, entry.dose && `${entry.dose} ${entry.unit}`, entry.route].filter(Boolean).join(' ') + (entry.details ? ` — ${entry.details}` : '');
+}
+
+/**
+ * Minimum repeat interval of a drug (minutes), or null when it has none
+ */
+function minIntervalOf(drugName) {
+    const drug = DRUGS.find(d => d.name.toLowerCase() === String(drugName || '').trim().toLowerCase());
+    return drug ? drug.minIntervalMinutes : null;
+}
+
+/**
+ * Warning when a drug given at a time would repeat an earlier dose inside its minimum interval, or ''
+ * @param {Array} log - treatment log (voided entries are ignored)
+ * @param {string} drugName
+ * @param {number} at - time of the new dose (ms)
+ */
+export function repeatDoseWarning(log, drugName, at = Date.now()) {
+    const minutes = minIntervalOf(drugName);
+    if (!minutes) return '';
+    const name = drugName.trim().toLowerCase();
+    const previous = activeEntries(log)
+        .filter(e => e.kind === 'drug' && String(e.drug).toLowerCase() === name)
+        .map(e => new Date(observedIso(e)).getTime())
+        .filter(t => t <= at)
+        .sort((a, b) => b - a)[0];
+    if (previous === undefined) return '';
+    const since = Math.round((at - previous) / 60000);
+    if (since >= minutes) return '';
+    return `${drugName.trim()} was last given at ${formatClock(new Date(previous).toISOString())} (${since} min before) — minimum interval ${minutes} min`;
+}
+
+/**
+ * Fill the medication inputs from a quick pick
+ */
+export function pickDrug(index) {
+    const drug = DRUGS[index];
+    if (!drug) return;
+    setValue('treatment-drug', drug.name);
+    setValue('treatment-dose', drug.dose);
+    setValue('treatment-unit', drug.unit);
+    setValue('treatment-route', drug.route);
+    updateRepeatDoseHint();
+}
+
+/**
+ * Fill the procedure input from a quick pick
+ */
+export function pickProcedure(index) {
+    if (PROCEDURES[index]) setValue('procedure-name', PROCEDURES[index]);
+}
+
+/**
+ * Show the repeat-dose warning for the drug being entered
+ */
+export function updateRepeatDoseHint() {
+    const el = q('treatment-repeat-warning');
+    if (!el) return;
+    const observed = readObservedTime('treatment-observed');
+    const at = observed.observedIso ? new Date(observed.observedIso).getTime() : Date.now();
+    el.textContent = repeatDoseWarning(treatmentLog, getValue('treatment-drug'), at);
+}
+
+/**
+ * Common fields of a new treatment entry
+ */
+function newEntry() {
+    return {
+        time: nowTimestamp(),
+        iso: new Date().toISOString(),
+        ...readObservedTime('treatment-observed'),
+        givenBy: getValue('treatment-given-by') || getValue('responder-id') || patientInfo.responderId || ''
+    };
+}
+
+/**
+ * Add an entry and keep the log in order (the vitals chart picks treatments up when it is next shown)
+ */
+function addEntry(item) {
+    treatmentLog.unshift(item);
+    sortByObserved(treatmentLog);
+    if (treatmentLog.length > 200) treatmentLog.length = 200;
+
+    persistTreatments();
+    renderTreatmentLog();
+}
+
+/**
+ * Log a medication (a repeat inside the drug's minimum interval needs confirming and stays flagged)
+ */
+export function addMedication() {
+    const item = {
+        ...newEntry(),
+        kind: 'drug',
+        drug: getValue('treatment-drug'),
+        dose: getValue('treatment-dose'),
+        unit: getValue('treatment-unit'),
+        route: getValue('treatment-route'),
+        details: getValue('treatment-details')
+    };
+    if (!checkTreatmentForm(item)) return;
+    const warning = repeatDoseWarning(treatmentLog, item.drug, new Date(observedIso(item)).getTime());
+    if (warning) {
+        if (!confirm(`⚠️ Repeat dose: ${warning}.\n\nLog this dose anyway?`)) return;
+        item.repeatWarning = warning;
+    }
+
+    addEntry(item);
+    ['treatment-drug', 'treatment-dose', 'treatment-details', 'treatment-observed'].forEach(id => setValue(id, ''));
+    renderFieldMessages(REQUIRED_INPUTS);
+    updateRepeatDoseHint();
+}
+
+/**
+ * Log a procedure
+ */
+export function addProcedure() {
+    const item = {
+        ...newEntry(),
+        kind: 'procedure',
+        procedure: getValue('procedure-name'),
+        details: getValue('procedure-details')
+    };
+    if (!checkTreatmentForm(item)) return;
+
+    addEntry(item);
+    ['procedure-name', 'procedure-details', 'treatment-observed'].forEach(id => setValue(id, ''));
+    renderFieldMessages(REQUIRED_INPUTS);
+}
+
+/**
+ * Render the quick-pick buttons
+ */
+export function renderTreatmentPicks() {
+    const drugs = q('drug-quick-picks');
+    if (drugs) drugs.innerHTML = DRUGS.map((d, i) => `<button class="btn ghost small-btn" onclick="pickDrug(${i})">${d.name}</button>`).join('');
+    const procedures = q('procedure-quick-picks');
+    if (procedures) procedures.innerHTML = PROCEDURES.map((p, i) => `<button class="btn ghost small-btn" onclick="pickProcedure(${i})">${p}</button>`).join('');
+}
+
+/**
+ * Render treatment log
+ */
+export function renderTreatmentLog() {
+    const el = q('treatment-log');
+    if (!el) return; // Defensive guard
+    el.innerHTML = '';
+    if (treatmentLog.length === 0) {
+        el.innerHTML = '<div class="log-item meta">No treatment recorded yet</div>';
+        return;
+    }
+
+    treatmentLog.forEach((item, index) => {
+        const warning = item.repeatWarning ? `<div class="vital-value-abnormal">⚠️ Repeat dose: ${item.repeatWarning}</div>` : '';
+        const div = document.createElement('div');
+        div.className = item.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(item)}</strong> — ${describeTreatment(item)}${item.givenBy ? ` <span class="meta">(${item.givenBy})</span>` : ''}${warning}</div>${renderCorrectionControls('treatments', index, item)}`;
+        el.appendChild(div);
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * Trend Chart Module
+ * Self-contained SVG trend chart of vitals, derived MAP and shock index, early warning score and GCS on a
+ * shared time axis, with treatment markers (no external libraries)
+ */
+
+import { VITAL_RANGES, getAgeBand } from './ranges.js';
+import { calculateHaemodynamics } from './haemodynamics.js';
+import { getEarlyWarningScore } from './scores.js';
+import { isCompleteGcs } from './gcsscale.js';
+import { q, observedIso, observedTime } from './utils.js';
+
+// One panel per series; `fields` are plotted as separate lines, `ranges` shade their normal band.
+// A field with `derive` is calculated from each entry (given { age, gcsLog, neuroLog }) instead of read from it
+const SERIES = {
+    bp: { label: 'BP', unit: 'mmHg', fields: [{ key: 'bpSys', label: 'SBP', color: '#d32f2f' }, { key: 'bpDia', label: 'DBP', color: '#ef9a9a' }], ranges: ['bp-sys', 'bp-dia'] },
+    pulse: { label: 'Pulse', unit: 'bpm', fields: [{ key: 'pulse', label: 'Pulse', color: '#1976d2' }], ranges: ['pulse'] },
+    spo2: { label: 'SPO₂', unit: '%', fields: [{ key: 'spo2', label: 'SPO₂', color: '#00897b' }], ranges: ['spo2'] },
+    map: { label: 'MAP', unit: 'mmHg', fields: [{ key: 'map', label: 'MAP', color: '#c2185b', derive: (entry, { age }) => calculateHaemodynamics(entry, age).map }], ranges: ['map'] },
+    shockIndex: { label: 'Shock Index', unit: '', fields: [{ key: 'shockIndex', label: 'SI', color: '#6d4c41', derive: (entry, { age }) => calculateHaemodynamics(entry, age).shockIndex }], ranges: ['shock-index'] },
+    rrate: { label: 'Resp Rate', unit: '/min', fields: [{ key: 'rrate', label: 'RR', color: '#7b1fa2' }], ranges: ['rrate'] },
+    temp: { label: 'Temp', unit: '°C', fields: [{ key: 'temp', label: 'Temp', color: '#f57c00' }], ranges: ['temp'] },
+    hgt: { label: 'HGT', unit: 'mmol/L', fields: [{ key: 'hgt', label: 'HGT', color: '#5d4037' }], ranges: ['hgt'] },
+    // Early warning score of each reading: NEWS2, or the PEWS recorded with a child's vitals (low risk shaded)
+    news2: { label: 'NEWS2', unit: '', fields: [{ key: 'news2', label: 'NEWS2', color: '#e64a19', derive: (entry, ctx) => scoreTotal(entry, ctx, 'NEWS2') }], normal: [0, 4] },
+    pews: { label: 'PEWS', unit: '', fields: [{ key: 'pews', label: 'PEWS', color: '#e64a19', derive: (entry, ctx) => scoreTotal(entry, ctx, 'PEWS') }], normal: [0, 2] },
+    // GCS totals with untested (T/NT) components are not out of 15, so they are not plotted
+    gcs: { label: 'GCS', unit: '/15', fields: [{ key: 'total', label: 'GCS', color: '#455a64', derive: entry => (isCompleteGcs(entry) ? entry.total : null) }], normal: [15, 15], source: 'gcs' }
+};
+
+const WIDTH = 320;
+const HEIGHT = 90;
+const PAD = { left: 34, right: 8, top: 8, bottom: 16 };
+const STRIP_HEIGHT = 22;
+
+// Series switched off by the user
+const hiddenSeries = new Set();
+// Points drawn in the last render, for the tap details: series key -> [{ time, label, value, unit }] (treatments have no value)
+let plottedPoints = {};
+// Arguments of the last render, so toggling a series can redraw
+let lastRender = null;
+
+/**
+ * Total of an entry's early warning score when it is the named score (NEWS2 or PEWS), else null
+ */
+function scoreTotal(entry, { gcsLog, neuroLog }, name) {
+    const score = getEarlyWarningScore(entry, gcsLog, neuroLog, false);
+    return score && score.name === name ? score.total : null;
+}
+
+/**
+ * Numeric points of one field at their observed times, oldest first
+ * @param {Object} field - series field ({ key, derive })
+ * @param {Object} context - { age, gcsLog, neuroLog } for derived fields
+ */
+function pointsOf(log, field, context) {
+    const valueOf = item => (field.derive ? field.derive(item, context) : item[field.key]);
+    return (Array.isArray(log) ? log : [])
+        .filter(item => observedIso(item) && valueOf(item) !== '' && valueOf(item) !== undefined && valueOf(item) !== null && !isNaN(parseFloat(valueOf(item))))
+        .map(item => ({ t: new Date(observedIso(item)).getTime(), value: parseFloat(valueOf(item)), time: observedTime(item) }))
+        .filter(p => !isNaN(p.t))
+        .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Treatment markers with a valid time, oldest first
+ */
+function markersOf(treatments) {
+    return (Array.isArray(treatments) ? treatments : [])
+        .map(m => ({ ...m, t: new Date(m.iso).getTime() }))
+        .filter(m => m.iso && !isNaN(m.t))
+        .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Normal bands of a series at an age (one [min, max] per range)
+ */
+function normalBands(series, age) {
+    if (series.normal) return [series.normal];
+    const band = getAgeBand(age).key;
+    return series.ranges.map(type => VITAL_RANGES[type][band].normal);
+}
+
+/**
+ * Y axis label: whole numbers, or one decimal on small scales (e.g. shock index)
+ */
+function axisValue(value, span) {
+    return span < 5 ? value.toFixed(1) : String(Math.round(value));
+}
+
+/**
+ * HH:MM for an axis label
+ */
+function clock(t) {
+    const d = new Date(t);
+    return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Render the chart into a container
+ * @param {HTMLElement} container
+ * @param {Array} vitalsLog - newest first, entries with `iso`
+ * @param {Array} gcsLog - newest first, entries with `iso` (totals with untested components are not plotted)
+ * @param {string} age - patient age as entered (selects the normal bands)
+ * @param {Array} [treatments] - markers `{ iso, time, label }` drawn across every panel and on their own strip
+ * @param {Array} [neuroLog] - newest first; AVPU counts towards the NEWS2 consciousness score
+ */
+export function renderTrendChart(container, vitalsLog, gcsLog, age, treatments = [], neuroLog = []) {
+    if (!container) return;
+    lastRender = [container, vitalsLog, gcsLog, age, treatments, neuroLog];
+    plottedPoints = {};
+
+    // Collect each series' lines
+    const data = {};
+    Object.keys(SERIES).forEach(key => {
+        const series = SERIES[key];
+        const log = series.source === 'gcs' ? gcsLog : vitalsLog;
+        const lines = series.fields.map(f => ({ ...f, points: pointsOf(log, f, { age, gcsLog, neuroLog }) })).filter(l => l.points.length > 0);
+        if (lines.length > 0) data[key] = lines;
+    });
+    const keys = Object.keys(data);
+    const markers = markersOf(treatments);
+    if (keys.length === 0 && markers.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    const showMarkers = markers.length > 0 && !hiddenSeries.has('treatments');
+
+    // Shared time axis over every recorded point and treatment (padded when there is only one time)
+    const times = keys.flatMap(key => data[key].flatMap(l => l.points.map(p => p.t))).concat(markers.map(m => m.t));
+    let tMin = Math.min(...times);
+    let tMax = Math.max(...times);
+    if (tMax - tMin < 60000) {
+        tMin -= 5 * 60000;
+        tMax += 5 * 60000;
+    }
+    const x = t => PAD.left + ((t - tMin) / (tMax - tMin)) * (WIDTH - PAD.left - PAD.right);
+
+    const toggles = keys.concat(markers.length > 0 ? ['treatments'] : []).map(key => `
+        <label class="chart-toggle"><input type="checkbox" ${hiddenSeries.has(key) ? '' : 'checked'} onchange="toggleChartSeries('${key}')"> ${key === 'treatments' ? 'Treatments' : SERIES[key].label}</label>`).join('');
+
+    // Dashed line at each treatment time, drawn behind the values
+    const treatmentLines = showMarkers
+        ? markers.map(m => `<line class="chart-treatment" x1="${x(m.t).toFixed(1)}" y1="${PAD.top}" x2="${x(m.t).toFixed(1)}" y2="${HEIGHT - PAD.bottom}"></line>`).join('')
+        : '';
+
+    const panels = keys.filter(key => !hiddenSeries.has(key)).map(key => {
+        const series = SERIES[key];
+        const lines = data[key];
+        const bandList = normalBands(series, age);
+
+        // Y range covers the values and the normal bands
+        const values = lines.flatMap(l => l.points.map(p => p.value)).concat(bandList.flat());
+        let yMin = Math.min(...values);
+        let yMax = Math.max(...values);
+        const margin = (yMax - yMin) * 0.1 || 1;
+        yMin -= margin;
+        yMax += margin;
+        const y = v => PAD.top + (1 - (v - yMin) / (yMax - yMin)) * (HEIGHT - PAD.top - PAD.bottom);
+
+        const shading = bandList.map(([lo, hi]) => {
+            const top = y(hi);
+            return `<rect class="chart-band" x="${PAD.left}" y="${top.toFixed(1)}" width="${WIDTH - PAD.left - PAD.right}" height="${Math.max(1, y(lo) - top).toFixed(1)}"></rect>`;
+        }).join('');
+
+        plottedPoints[key] = [];
+        const drawn = lines.map(line => {
+            const path = line.points.map(p => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+            const dots = line.points.map(p => {
+                const index = plottedPoints[key].push({ time: p.time || clock(p.t), label: line.label, value: p.value, unit: series.unit }) - 1;
+                return `<circle cx="${x(p.t).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="4" fill="${line.color}" onclick="showChartPoint('${key}', ${index})"></circle>`;
+            }).join('');
+            return `<polyline points="${path}" fill="none" stroke="${line.color}" stroke-width="2"></polyline>${dots}`;
+        }).join('');
+
+        return `
+        <div class="chart-title">${series.label}${series.unit ? ` (${series.unit})` : ''}</div>
+        <svg class="trend-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${series.label} trend">
+          ${shading}
+          ${treatmentLines}
+          <line class="chart-axis" x1="${PAD.left}" y1="${HEIGHT - PAD.bottom}" x2="${WIDTH - PAD.right}" y2="${HEIGHT - PAD.bottom}"></line>
+          <text class="chart-label" x="2" y="${PAD.top + 4}">${axisValue(yMax, yMax - yMin)}</text>
+          <text class="chart-label" x="2" y="${HEIGHT - PAD.bottom}">${axisValue(yMin, yMax - yMin)}</text>
+          <text class="chart-label" x="${PAD.left}" y="${HEIGHT - 3}">${clock(tMin)}</text>
+          <text class="chart-label" x="${WIDTH - PAD.right}" y="${HEIGHT - 3}" text-anchor="end">${clock(tMax)}</text>
+          ${drawn}
+        </svg>`;
+    }).join('');
+
+    // Treatment strip: one tappable marker per treatment on the same time axis
+    let strip = '';
+    if (showMarkers) {
+        plottedPoints.treatments = markers.map(m => ({ time: m.time || clock(m.t), label: m.label }));
+        const marks = markers.map((m, i) => `<circle class="chart-treatment-marker" cx="${x(m.t).toFixed(1)}" cy="8" r="5" onclick="showChartPoint('treatments', ${i})"><title>${m.label}</title></circle>`).join('');
+        strip = `
+        <div class="chart-title">Treatments</div>
+        <svg class="trend-chart" viewBox="0 0 ${WIDTH} ${STRIP_HEIGHT}" role="img" aria-label="Treatment times">
+          <line class="chart-axis" x1="${PAD.left}" y1="8" x2="${WIDTH - PAD.right}" y2="8"></line>
+          <text class="chart-label" x="${PAD.left}" y="${STRIP_HEIGHT - 2}">${clock(tMin)}</text>
+          <text class="chart-label" x="${WIDTH - PAD.right}" y="${STRIP_HEIGHT - 2}" text-anchor="end">${clock(tMax)}</text>
+          ${marks}
+        </svg>`;
+    }
+
+    container.innerHTML = `
+        <div class="chart-toggles">${toggles}</div>
+        ${panels}
+        ${strip}
+        <div id="trend-chart-detail" class="meta"></div>
+    `;
+}
+
+/**
+ * Show or hide one series
+ */
+export function toggleChartSeries(key) {
+    if (hiddenSeries.has(key)) hiddenSeries.delete(key);
+    else hiddenSeries.add(key);
+    if (lastRender) renderTrendChart(...lastRender);
+}
+
+/**
+ * Show the details of a tapped point
+ */
+export function showChartPoint(key, index) {
+    const point = plottedPoints[key] ? plottedPoints[key][index] : null;
+    const el = q('trend-chart-detail');
+    if (!point || !el) return;
+    el.textContent = point.value === undefined ? `${point.time} — ${point.label}` : `${point.time} — ${point.label}: ${point.value}${point.unit ? ` ${point.unit}` : ''}`;
+}
@@ -0,0 +1,153 @@
+/**
+ * Trends Module
+ * Flags possible deterioration (falling BP, rising pulse, SpO₂ and GCS drops) from a patient's logs
+ */
+
+// Import patient management
+import { getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { getSceneSettings, updateSceneSettings } from './scene.js';
+import { activeEntries } from './corrections.js';
+import { isCompleteGcs } from './gcsscale.js';
+import { getValue, q } from './utils.js';
+
+// Rule thresholds; `amber`/`red` are changes between the last two readings, `red` alone is an absolute limit.
+// Scenes can override any number through settings.trendThresholds.
+export const TREND_RULES = {
+    sbpDrop: { label: 'Systolic BP drop (mmHg)', amber: 20, red: 30 },
+    pulseRise: { label: 'Pulse rise (bpm)', amber: 20, red: 30 },
+    spo2Drop: { label: 'SpO₂ drop (%)', amber: 4, red: 8 },
+    gcsDrop: { label: 'GCS drop', amber: 2, red: 3 },
+    sbpLow: { label: 'Systolic BP below (mmHg)', red: 90 },
+    spo2Low: { label: 'SpO₂ below (%)', red: 90 },
+    pulseHigh: { label: 'Pulse above (bpm)', red: 130 },
+    gcsLow: { label: 'GCS at or below', red: 8 }
+};
+
+/**
+ * Thresholds in effect for a scene (the active scene when omitted)
+ * @returns {Object} rule key -> { amber, red }
+ */
+export function getTrendThresholds(scene) {
+    const settings = scene ? scene.settings || {} : getSceneSettings();
+    const overrides = settings.trendThresholds || {};
+    const thresholds = {};
+    Object.keys(TREND_RULES).forEach(key => {
+        const { amber, red } = TREND_RULES[key];
+        thresholds[key] = { amber, red, ...(overrides[key] || {}) };
+    });
+    return thresholds;
+}
+
+/**
+ * Last two numeric readings of a field (newest first), skipping voided entries and ones where it was not recorded
+ */
+function lastTwo(log, field) {
+    return activeEntries(log)
+        .map(item => item[field])
+        .filter(value => value !== '' && value !== undefined && value !== null && !isNaN(Number(value)))
+        .slice(0, 2)
+        .map(Number);
+}
+
+/**
+ * Grade a change against a rule's amber/red thresholds
+ */
+function checkChange(issues, rule, change, text) {
+    if (rule.red !== undefined && change >= rule.red) issues.push({ severity: 'red', text });
+    else if (rule.amber !== undefined && change >= rule.amber) issues.push({ severity: 'amber', text });
+}
+
+/**
+ * Look for deterioration in a patient record
+ * @param {Object} record - patient record ({ vitals, gcs })
+ * @param {Object} [thresholds] - from getTrendThresholds(); the active scene's when omitted
+ * @returns {{issues: Array<{severity: string, text: string}>, severity: string|null}}
+ */
+export function analyzeTrends(record, thresholds = getTrendThresholds()) {
+    const issues = [];
+    const vitals = record ? record.vitals : [];
+    // Only full GCS totals are comparable; T/NT totals are not out of 15
+    const gcs = record ? (record.gcs || []).filter(isCompleteGcs) : [];
+
+    // Changes between the two most recent readings
+    const sbp = lastTwo(vitals, 'bpSys');
+    const pulse = lastTwo(vitals, 'pulse');
+    const spo2 = lastTwo(vitals, 'spo2');
+    const gcsTotal = lastTwo(gcs, 'total');
+    if (sbp.length === 2) checkChange(issues, thresholds.sbpDrop, sbp[1] - sbp[0], `Systolic BP dropped by ${sbp[1] - sbp[0]} mmHg`);
+    if (pulse.length === 2) checkChange(issues, thresholds.pulseRise, pulse[0] - pulse[1], `Pulse increased by ${pulse[0] - pulse[1]} bpm`);
+    if (spo2.length === 2) checkChange(issues, thresholds.spo2Drop, spo2[1] - spo2[0], `SPO₂ dropped by ${spo2[1] - spo2[0]}%`);
+    if (gcsTotal.length === 2) checkChange(issues, thresholds.gcsDrop, gcsTotal[1] - gcsTotal[0], `GCS dropped by ${gcsTotal[1] - gcsTotal[0]}`);
+
+    // Absolute limits on the latest reading
+    if (sbp.length && sbp[0] < thresholds.sbpLow.red) issues.push({ severity: 'red', text: `Systolic BP < ${thresholds.sbpLow.red} mmHg` });
+    if (spo2.length && spo2[0] < thresholds.spo2Low.red) issues.push({ severity: 'red', text: `SPO₂ < ${thresholds.spo2Low.red}%` });
+    if (pulse.length && pulse[0] > thresholds.pulseHigh.red) issues.push({ severity: 'red', text: `Pulse > ${thresholds.pulseHigh.red} bpm` });
+    if (gcsTotal.length && gcsTotal[0] <= thresholds.gcsLow.red) issues.push({ severity: 'red', text: `GCS <= ${thresholds.gcsLow.red} (current ${gcsTotal[0]})` });
+
+    let severity = null;
+    if (issues.some(i => i.severity === 'red')) severity = 'red';
+    else if (issues.length) severity = 'amber';
+    return { issues, severity };
+}
+
+/**
+ * Show the current patient's findings in the vitals, GCS and results banners
+ * @param {Object} [record] - defaults to the current patient's record
+ */
+export function renderTrendAlerts(record = getCurrentPatientRecord()) {
+    const res = analyzeTrends(record);
+    const banners = ['vitals-alert', 'gcs-alert', 'results-alert'].map(id => q(id)).filter(Boolean);
+
+    const message = res.issues.map(i => i.text).slice(0, 3).join(' • '); // top items
+    banners.forEach(b => {
+        if (!res.severity) {
+            b.className = 'alert-banner alert-none';
+            b.textContent = '';
+            return;
+        }
+        b.className = res.severity === 'red' ? 'alert-banner alert-red' : 'alert-banner alert-amber';
+        b.textContent = `⚠️ Possible deterioration — ${message}`;
+    });
+}
+
+/**
+ * Render the threshold inputs in the scene settings
+ */
+export function renderTrendSettings() {
+    const el = q('trend-settings');
+    if (!el) return;
+    const thresholds = getTrendThresholds();
+
+    el.innerHTML = Object.keys(TREND_RULES).map(key => {
+        const input = level => thresholds[key][level] === undefined ? '' : `
+            <input id="trend-${key}-${level}" type="number" class="flex-1" title="${level}" placeholder="${level}" value="${thresholds[key][level]}" onchange="trendSettingsChanged()">`;
+        return `
+        <div class="form-group">
+          <label>${TREND_RULES[key].label}</label>
+          <div class="row">${input('amber')}${input('red')}</div>
+        </div>`;
+    }).join('');
+}
+
+/**
+ * Save edited thresholds to the active scene and re-check the current patient
+ */
+export function trendSettingsChanged() {
+    const overrides = {};
+    Object.keys(TREND_RULES).forEach(key => {
+        ['amber', 'red'].forEach(level => {
+            if (TREND_RULES[key][level] === undefined) return;
+            const value = parseFloat(getValue(`trend-${key}-${level}`));
+            if (!isNaN(value)) overrides[key] = { ...(overrides[key] || {}), [level]: value };
+        });
+    });
+    updateSceneSettings({ trendThresholds: overrides });
+    renderTrendAlerts();
+}
+
+// Re-check whenever another patient is selected
+registerPatientRecordHandler({
+    save: () => {},
+    load: record => renderTrendAlerts(record)
+});
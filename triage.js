@@ -0,0 +1,271 @@
+/**
+ * Triage Module
+ * Guided S.T.A.R.T. (adult), JumpSTART (paediatric) and SALT triage that assigns the patient's priority
+ */
+
+// Import patient management
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, setPatientPriority, getCurrentPatientRecord, registerPatientRecordHandler } from './patient.js';
+import { updateVitalIndicator } from './vitals.js';
+import { getSceneSettings } from './scene.js';
+import { parseAgeYears } from './ranges.js';
+import { nowTimestamp, getValue, setValue, q } from './utils.js';
+
+export const PRIORITY_LABELS = {
+    P1: 'Immediate',
+    P2: 'Urgent',
+    P3: 'Delayed',
+    P4: 'Deceased'
+};
+
+// Each step is a yes/no question; the answer leads to another step or to a priority.
+// Steps with a `vital` can be answered by entering a value, which also pre-fills that vitals field.
+const START_STEPS = {
+    walking: { question: 'Is the patient able to walk?', yes: { priority: 'P3' }, no: { next: 'breathing' } },
+    breathing: { question: 'Is the patient breathing?', yes: { next: 'rrate' }, no: { next: 'airway' } },
+    airway: { question: 'Breathing after airway repositioning?', yes: { priority: 'P1' }, no: { priority: 'P4' } },
+    rrate: {
+        question: 'Respiratory rate over 30/min?',
+        vital: 'rrate', unit: '/min', test: v => v > 30,
+        yes: { priority: 'P1' }, no: { next: 'perfusion' }
+    },
+    perfusion: {
+        question: 'Radial pulse absent or capillary refill over 2 s?',
+        vital: 'cap-refill', unit: 's', test: v => v > 2,
+        yes: { priority: 'P1' }, no: { next: 'mental' }
+    },
+    mental: { question: 'Does the patient obey simple commands?', yes: { priority: 'P2' }, no: { priority: 'P1' } }
+};
+
+// JumpSTART: apnoeic children with a pulse get 5 rescue breaths, RR outside 15-45 and
+// inappropriate pain response (posturing) or unresponsive make a child immediate
+const JUMPSTART_STEPS = {
+    walking: { question: 'Is the child able to walk?', yes: { priority: 'P3' }, no: { next: 'breathing' } },
+    breathing: { question: 'Is the child breathing?', yes: { next: 'rrate' }, no: { next: 'airway' } },
+    airway: { question: 'Breathing after airway repositioning?', yes: { priority: 'P1' }, no: { next: 'apnoeicPulse' } },
+    apnoeicPulse: { question: 'Palpable peripheral pulse?', yes: { next: 'rescueBreaths' }, no: { priority: 'P4' } },
+    rescueBreaths: { question: 'Breathing after 5 rescue breaths?', yes: { priority: 'P1' }, no: { priority: 'P4' } },
+    rrate: {
+        question: 'Respiratory rate below 15 or above 45/min?',
+        vital: 'rrate', unit: '/min', test: v => v < 15 || v > 45,
+        yes: { priority: 'P1' }, no: { next: 'pulse' }
+    },
+    pulse: { question: 'Palpable peripheral pulse?', yes: { next: 'avpu' }, no: { priority: 'P1' } },
+    avpu: {
+        question: 'AVPU is A, V or appropriate P (not posturing, not U)?',
+        yes: { priority: 'P2' }, no: { priority: 'P1' }
+    }
+};
+
+// SALT: global sort (walk / wave / still) sets assessment order, then lifesaving interventions
+// and individual assessment. Categories map onto the P1-P4 colours (Expectant and Dead share P4).
+const SALT_STEPS = {
+    walking: { question: 'Global sort: can the patient walk to a designated area?', yes: { next: 'lsi', sort: 'Walking (assess 3rd)' }, no: { next: 'wave' } },
+    wave: {
+        question: 'Global sort: does the patient wave or make purposeful movement?',
+        yes: { next: 'lsi', sort: 'Waving (assess 2nd)' }, no: { next: 'lsi', sort: 'Still / obvious life threat (assess 1st)' }
+    },
+    lsi: {
+        question: 'Lifesaving interventions performed (tick all done):',
+        checklist: [
+            'Major haemorrhage controlled',
+            'Airway opened (child: 2 rescue breaths)',
+            'Chest decompression',
+            'Auto-injector antidote'
+        ],
+        done: { next: 'breathing' }
+    },
+    breathing: { question: 'Is the patient breathing?', yes: { next: 'commands' }, no: { priority: 'P4', category: 'Dead' } },
+    commands: { question: 'Obeys commands or makes purposeful movements?', yes: { next: 'pulse' }, no: { next: 'survive' } },
+    pulse: { question: 'Has a peripheral pulse?', yes: { next: 'distress' }, no: { next: 'survive' } },
+    distress: { question: 'Not in respiratory distress?', yes: { next: 'haemorrhage' }, no: { next: 'survive' } },
+    haemorrhage: { question: 'Major haemorrhage controlled?', yes: { next: 'minor' }, no: { next: 'survive' } },
+    minor: { question: 'Minor injuries only?', yes: { priority: 'P3', category: 'Minimal' }, no: { priority: 'P2', category: 'Delayed' } },
+    survive: {
+        question: 'Likely to survive given current resources?',
+        yes: { priority: 'P1', category: 'Immediate' }, no: { priority: 'P4', category: 'Expectant' }
+    }
+};
+
+export const TRIAGE_ALGORITHMS = {
+    START: { label: 'S.T.A.R.T.', first: 'walking', steps: START_STEPS },
+    JUMPSTART: { label: 'JumpSTART', first: 'walking', steps: JUMPSTART_STEPS },
+    SALT: { label: 'SALT', first: 'walking', steps: SALT_STEPS }
+};
+
+// JumpSTART applies below this age (years) unless the responder picks adult/child
+const JUMPSTART_MAX_AGE = 8;
+
+// Triage in progress for the current patient (null when idle)
+let session = null;
+
+/**
+ * Get the current patient's triage history (newest first)
+ */
+export function getTriageLog() {
+    const record = getCurrentPatientRecord();
+    return record && Array.isArray(record.triage) ? record.triage : [];
+}
+
+/**
+ * Pick the algorithm for the current patient: SALT when the scene uses it,
+ * otherwise the responder's adult/child choice, else the age
+ */
+export function chooseTriageAlgorithm() {
+    if (getSceneSettings().triageMode === 'SALT') return 'SALT';
+
+    const patientType = getValue('triage-patient-type');
+    if (patientType === 'child') return 'JUMPSTART';
+    if (patientType === 'adult') return 'START';
+
+    const age = parseAgeYears(getValue('patient-age') || patientInfo.age);
+    return !isNaN(age) && age < JUMPSTART_MAX_AGE ? 'JUMPSTART' : 'START';
+}
+
+/**
+ * Start (or restart) the triage flow for the current patient
+ * @param {string} [algorithm] - key of TRIAGE_ALGORITHMS; chosen from age/patient type when omitted
+ */
+export function startTriage(algorithm) {
+    if (!TRIAGE_ALGORITHMS[algorithm]) algorithm = chooseTriageAlgorithm();
+    const alg = TRIAGE_ALGORITHMS[algorithm];
+    session = {
+        algorithm,
+        step: alg.first,
+        answers: [],
+        sort: '',
+        interventions: [],
+        startedIso: new Date().toISOString()
+    };
+    renderTriageWizard();
+}
+
+/**
+ * Abandon the triage in progress without changing the priority
+ */
+export function cancelTriage() {
+    session = null;
+    renderTriageWizard();
+}
+
+/**
+ * Answer the current triage question
+ * @param {string} [answer] - 'yes' or 'no' ('done' for a checklist); omit to answer from the entered value
+ */
+export function triageAnswer(answer) {
+    if (!session) return;
+    const alg = TRIAGE_ALGORITHMS[session.algorithm];
+    const step = alg.steps[session.step];
+
+    let value = '';
+    if (step.vital) {
+        value = getValue('triage-value');
+        const num = parseFloat(value);
+        if (value !== '' && !isNaN(num)) {
+            if (!answer) answer = step.test(num) ? 'yes' : 'no';
+            // Pre-fill the matching vitals input
+            setValue(step.vital, value);
+            updateVitalIndicator(q(step.vital), step.vital);
+        } else {
+            value = '';
+        }
+    }
+    if (step.checklist) {
+        answer = 'done';
+        const done = step.checklist.filter((item, i) => getValue(`triage-check-${i}`, false));
+        session.interventions = done;
+        value = done.join(', ') || 'None';
+    } else if (answer !== 'yes' && answer !== 'no') {
+        alert('Answer yes or no, or enter a value');
+        return;
+    }
+
+    session.answers.push({ step: session.step, question: step.question, answer, value });
+
+    const outcome = step[answer];
+    if (outcome.sort) session.sort = outcome.sort;
+    if (outcome.next) {
+        session.step = outcome.next;
+        renderTriageWizard();
+    } else {
+        finishTriage(outcome);
+    }
+}
+
+/**
+ * Record the completed triage on the patient and apply its priority
+ */
+function finishTriage(outcome) {
+    const alg = TRIAGE_ALGORITHMS[session.algorithm];
+    const entry = {
+        time: nowTimestamp(),
+        iso: new Date().toISOString(),
+        startedIso: session.startedIso,
+        algorithm: session.algorithm,
+        priority: outcome.priority,
+        category: outcome.category || '',
+        sort: session.sort,
+        interventions: session.interventions,
+        answers: session.answers
+    };
+    session = null;
+
+    if (currentPatientId) {
+        const record = patients[currentPatientId];
+        record.triage = record.triage || [];
+        record.triage.unshift(entry);
+        if (record.triage.length > 200) record.triage.length = 200;
+        saveToLocalStorage();
+    }
+
+    setPatientPriority(entry.priority, `${alg.label} triage`, entry.category);
+    renderTriageWizard(entry);
+}
+
+/**
+ * Render the current question (or the last result) in the triage panel
+ */
+export function renderTriageWizard(result) {
+    const el = q('triage-wizard');
+    if (!el) return;
+
+    if (!session) {
+        el.innerHTML = result
+            ? `<div class="triage-result priority-${result.priority.toLowerCase()}">${TRIAGE_ALGORITHMS[result.algorithm].label} triage: ${result.priority} - ${result.category || PRIORITY_LABELS[result.priority]}</div>`
+            : '';
+        return;
+    }
+
+    const alg = TRIAGE_ALGORITHMS[session.algorithm];
+    const step = alg.steps[session.step];
+    const valueInput = step.vital ? `
+        <div class="input-group">
+          <input id="triage-value" type="number" step="0.1" placeholder="Enter value (optional)">
+          <span class="input-group-addon">${step.unit}</span>
+          <button class="btn btn-secondary small-btn" onclick="triageAnswer()">Use value</button>
+        </div>` : '';
+
+    const checklist = step.checklist ? step.checklist.map((item, i) => `
+        <label class="toggle-row"><input type="checkbox" id="triage-check-${i}"> ${item}</label>`).join('') : '';
+    const answerButtons = step.checklist
+        ? `<button class="btn btn-primary" onclick="triageAnswer('done')">Done</button>`
+        : `<button class="btn btn-primary" onclick="triageAnswer('yes')">Yes</button>
+            <button class="btn btn-danger" onclick="triageAnswer('no')">No</button>`;
+
+    el.innerHTML = `
+        <div class="triage-step">
+          <div class="meta">${alg.label} triage — step ${session.answers.length + 1}</div>
+          <div class="triage-question">${step.question}</div>
+          ${valueInput}${checklist}
+          <div class="triage-actions">
+            ${answerButtons}
+            <button class="btn ghost small-btn" onclick="cancelTriage()">Cancel</button>
+          </div>
+        </div>
+    `;
+}
+
+// Triage results live on the patient record; only an unfinished triage needs dropping on switch
+registerPatientRecordHandler({
+    save: () => {},
+    load: () => { session = null; renderTriageWizard(); }
+});
@@ -24,3 +24,72 @@ export function setValue(id, value) {
   else el.value = value;
 }
 
+// Format a date (or ISO string) for a datetime-local input (local time, YYYY-MM-DDTHH:MM)
+export function toDateTimeLocal(value) {
+  const d = value ? new Date(value) : new Date();
+  if (isNaN(d.getTime())) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Whole minutes elapsed since an ISO timestamp (null when missing/invalid)
+export function minutesSince(iso, now = Date.now()) {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  if (isNaN(t)) return null;
+  return Math.max(0, Math.floor((now - t) / 60000));
+}
+
+// Entries observed this many minutes or more before they were entered are marked late (observed-at inputs
+// are HH:MM, so a short delay in typing an entry up is not flagged)
+export const LATE_ENTRY_MINUTES = 10;
+
+// Parse a clock time (HH:MM, today; a time later than now is taken as yesterday), or null
+export function parseClockTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+  const d = new Date();
+  d.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 0, 0);
+  if (d.getTime() > Date.now() + 60000) d.setDate(d.getDate() - 1);
+  return d;
+}
+
+// Format an ISO time as a clock time (HH:MM)
+export function formatClock(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return '';
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+// Read an optional "observed at" time input (see parseClockTime).
+// Returns { observedIso, observedTime } to spread into a log entry, or {} when left blank.
+export function readObservedTime(id) {
+  const d = parseClockTime(getValue(id));
+  if (!d) return {};
+  return { observedIso: d.toISOString(), observedTime: d.toLocaleTimeString() };
+}
+
+// When an entry was observed (falls back to when it was entered)
+export function observedIso(entry) {
+  return (entry && (entry.observedIso || entry.iso)) || '';
+}
+
+// Display time of an entry: the observed time when one was given
+export function observedTime(entry) {
+  return entry ? entry.observedTime || entry.time : '';
+}
+
+// Whether an entry was documented well after it was observed
+export function isLateEntry(entry) {
+  if (!entry || !entry.observedIso || !entry.iso) return false;
+  return new Date(entry.iso).getTime() - new Date(entry.observedIso).getTime() >= LATE_ENTRY_MINUTES * 60000;
+}
+
+// Display time with a late-entry marker, e.g. "10:40:00 (late entry, entered 10:52:13)"
+export function entryTimeLabel(entry) {
+  return isLateEntry(entry) ? `${observedTime(entry)} (late entry, entered ${entry.time})` : observedTime(entry);
+}
+
+// Sort a log in place, newest observation first
+export function sortByObserved(log) {
+  return log.sort((a, b) => observedIso(b).localeCompare(observedIso(a)));
+}
@@ -0,0 +1,264 @@
+/**
+ * Validation Module
+ * Field-level plausibility checks for vitals and GCS input, shown inline next to each field, and the helpers
+ * (limit tables, inline messages, confirming extreme values) other modules build their own form checks from.
+ * The pure validators also check stored entries, so every path that writes a value (e.g. corrections) is held to them
+ */
+
+import { GCS_MAX, GCS_NOT_SCORED } from './gcsscale.js';
+import { getValue, q } from './utils.js';
+
+// Values outside `hard` are impossible and rejected; values outside `soft` are extreme but possible
+// and need confirming. Limits are deliberately wide so they hold for every age band.
+export const VITAL_LIMITS = {
+    'bp-sys': { label: 'Systolic BP', hard: [20, 300], soft: [50, 250] },
+    'bp-dia': { label: 'Diastolic BP', hard: [10, 200], soft: [25, 140] },
+    pulse: { label: 'Pulse', hard: [0, 300], soft: [30, 220] },
+    spo2: { label: 'SPO₂', hard: [0, 100], soft: [70, 100] },
+    'o2-flow': { label: 'O₂ flow', hard: [0, 60], soft: [0, 15] },
+    rrate: { label: 'Resp rate', hard: [0, 100], soft: [6, 70] },
+    hgt: { label: 'HGT', hard: [0, 60], soft: [2, 30] },
+    temp: { label: 'Temperature', hard: [20, 45], soft: [32, 41] },
+    'cap-refill': { label: 'Cap refill', hard: [0, 20], soft: [0, 6] },
+    pain: { label: 'Pain score', hard: [0, 10], integer: true }
+};
+
+// Every vitals input that counts as an observation (an entry needs at least one)
+export const VITAL_INPUTS = [
+    ...Object.keys(VITAL_LIMITS),
+    'o2-delivery', 'ecg', 'pain-location', 'skin', 'pews-behaviour', 'pews-breathing'
+];
+
+// Stored vitals entry field -> vitals input id (the limits are keyed by input id)
+export const VITAL_ENTRY_FIELDS = {
+    bpSys: 'bp-sys', bpDia: 'bp-dia', pulse: 'pulse', spo2: 'spo2', o2Flow: 'o2-flow',
+    rrate: 'rrate', hgt: 'hgt', temp: 'temp', capRefill: 'cap-refill', pain: 'pain'
+};
+
+export const GCS_COMPONENTS = [
+    { name: 'gcs-eye', key: 'eye', label: 'Eye' },
+    { name: 'gcs-verbal', key: 'verbal', label: 'Verbal' },
+    { name: 'gcs-motor', key: 'motor', label: 'Motor' }
+];
+
+/**
+ * Whether a value was entered
+ */
+export function given(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Check entered values against a limits table ({ id: { label, hard, soft, integer } }), adding to errors and warnings
+ */
+export function checkLimits(limits, values, errors, warnings) {
+    Object.keys(limits).forEach(id => {
+        if (!given(values[id])) return;
+        const { label, hard, soft, integer } = limits[id];
+        const num = Number(values[id]);
+        if (isNaN(num)) errors[id] = `${label} must be a number`;
+        else if (num < hard[0] || num > hard[1]) errors[id] = `${label} must be between ${hard[0]} and ${hard[1]}`;
+        else if (integer && !Number.isInteger(num)) errors[id] = `${label} must be a whole number`;
+        else if (soft && (num < soft[0] || num > soft[1])) warnings[id] = `${label} of ${num} is outside ${soft[0]}-${soft[1]}`;
+    });
+}
+
+/**
+ * Check vitals values against the hard and soft limits
+ * @param {Object} values - input id -> value as entered
+ * @returns {{errors: Object, warnings: Object, empty: boolean}} errors and warnings keyed by input id
+ */
+export function validateVitals(values) {
+    const errors = {};
+    const warnings = {};
+    checkLimits(VITAL_LIMITS, values, errors, warnings);
+
+    // Cross-field checks
+    const sys = Number(values['bp-sys']);
+    const dia = Number(values['bp-dia']);
+    if (given(values['bp-sys']) && given(values['bp-dia']) && !errors['bp-sys'] && !errors['bp-dia'] && dia >= sys) {
+        errors['bp-dia'] = 'Diastolic must be lower than systolic';
+        delete warnings['bp-dia'];
+    }
+
+    return { errors, warnings, empty: !VITAL_INPUTS.some(id => given(values[id])) };
+}
+
+/**
+ * Check a stored vitals entry against the same limits as the vitals form
+ * @param {Object} entry - vitals entry (bpSys, bpDia, pulse, ...)
+ * @returns {{errors: Object, warnings: Object}} errors and warnings keyed by entry field
+ */
+export function validateVitalsEntry(entry) {
+    const values = {};
+    Object.keys(VITAL_ENTRY_FIELDS).forEach(key => { values[VITAL_ENTRY_FIELDS[key]] = entry[key]; });
+    const { errors, warnings } = validateVitals(values);
+    const byField = messages => {
+        const result = {};
+        Object.keys(VITAL_ENTRY_FIELDS).forEach(key => {
+            if (messages[VITAL_ENTRY_FIELDS[key]]) result[key] = messages[VITAL_ENTRY_FIELDS[key]];
+        });
+        return result;
+    };
+    return { errors: byField(errors), warnings: byField(warnings) };
+}
+
+/**
+ * Values a GCS component may take: its scores and the not-scored codes ('T', 'NT')
+ * @param {string} key - 'eye', 'verbal' or 'motor'
+ */
+export function gcsAllowedValues(key) {
+    return [
+        ...Array.from({ length: GCS_MAX[key] }, (_, i) => String(i + 1)),
+        ...GCS_NOT_SCORED[key].map(([value]) => value)
+    ];
+}
+
+/**
+ * Check a GCS selection; a component left blank is only allowed when marked not testable ('NT')
+ * @param {Object} selection - radio group name -> selected value ('' when none)
+ * @returns {Object} errors keyed by radio group name
+ */
+export function validateGcs(selection) {
+    const errors = {};
+    GCS_COMPONENTS.forEach(({ name, key, label }) => {
+        const allowed = gcsAllowedValues(key);
+        if (!given(selection[name])) errors[name] = `Select a ${label.toLowerCase()} response or mark it not testable`;
+        else if (!allowed.includes(String(selection[name]).trim())) {
+            const codes = GCS_NOT_SCORED[key].map(([value]) => value);
+            errors[name] = `${label} must be 1-${GCS_MAX[key]}${codes.length > 1 ? `, ${codes.slice(0, -1).join(', ')}` : ''} or ${codes[codes.length - 1]}`;
+        }
+    });
+    return errors;
+}
+
+/**
+ * Check a stored GCS entry with the same rules as the GCS form
+ * @param {Object} entry - GCS entry (eye, verbal, motor)
+ * @returns {{errors: Object, warnings: Object}} errors keyed by component ('eye', 'verbal', 'motor')
+ */
+export function validateGcsEntry(entry) {
+    const selection = {};
+    GCS_COMPONENTS.forEach(({ name, key }) => { selection[name] = entry[key]; });
+    const errors = validateGcs(selection);
+    const byComponent = {};
+    GCS_COMPONENTS.forEach(({ name, key }) => { if (errors[name]) byComponent[key] = errors[name]; });
+    return { errors: byComponent, warnings: {} };
+}
+
+/**
+ * Form group an input (by id) or radio group (by name) sits in
+ */
+function fieldContainer(id) {
+    const input = q(id) || document.querySelector(`input[name="${id}"]`);
+    if (!input) return null;
+    return (input.closest && input.closest('.form-group, .gcs-section')) || input.parentNode || null;
+}
+
+/**
+ * Show, replace or clear the inline message under one field
+ */
+function setFieldMessage(id, message, level) {
+    let el = q(`${id}-error`);
+    if (!el) {
+        if (!message) return;
+        const container = fieldContainer(id);
+        if (!container) return;
+        el = document.createElement('div');
+        el.id = `${id}-error`;
+        container.appendChild(el);
+    }
+    el.className = `field-${level}`;
+    el.textContent = message || '';
+
+    const input = q(id);
+    if (input && input.classList) input.classList.toggle('input-invalid', level === 'error' && !!message);
+}
+
+/**
+ * Show errors and warnings inline for a set of fields (fields without one are cleared)
+ */
+export function renderFieldMessages(ids, errors = {}, warnings = {}) {
+    ids.forEach(id => {
+        if (errors[id]) setFieldMessage(id, errors[id], 'error');
+        else setFieldMessage(id, warnings[id] || '', 'warning');
+    });
+}
+
+/**
+ * Show or clear a message for the whole form
+ */
+export function setFormError(id, message) {
+    const el = q(id);
+    if (!el) return;
+    el.textContent = message || '';
+}
+
+/**
+ * Show the results of a form check inline and ask for confirmation of extreme values
+ * @param {Object} limits - limits table of the form's numeric inputs
+ * @param {{errors: Object, warnings: Object, empty: boolean}} result - messages keyed by input id
+ * @param {string} formErrorId - element for the form-wide message shown when nothing was entered
+ * @returns {boolean} true when the entry can be submitted
+ */
+export function finishFormCheck(limits, { errors, warnings, empty }, formErrorId, emptyMessage) {
+    // Number inputs report letters as an empty value; the browser still flags them
+    Object.keys(limits).forEach(id => {
+        const input = q(id);
+        if (input && input.validity && input.validity.badInput) errors[id] = `${limits[id].label} must be a number`;
+    });
+
+    renderFieldMessages(Object.keys(limits), errors, warnings);
+    setFormError(formErrorId, empty && Object.keys(errors).length === 0 ? emptyMessage : '');
+    if (empty || Object.keys(errors).length > 0) return false;
+
+    const extreme = Object.values(warnings);
+    return extreme.length === 0 || confirm(`Please check these values:\n${extreme.join('\n')}\n\nSubmit anyway?`);
+}
+
+/**
+ * Current values of a set of inputs
+ */
+export function readValues(ids) {
+    const values = {};
+    ids.forEach(id => { values[id] = getValue(id); });
+    return values;
+}
+
+/**
+ * Validate the vitals form, showing messages inline
+ * @returns {boolean} true when the entry can be submitted (extreme values confirmed by the user)
+ */
+export function checkVitalsForm() {
+    const result = validateVitals(readValues(VITAL_INPUTS));
+    return finishFormCheck(VITAL_LIMITS, result, 'vitals-form-error', 'Enter at least one observation before submitting');
+}
+
+/**
+ * Validate the GCS form, showing messages inline
+ * @returns {boolean} true when every component has a response or is marked not testable
+ */
+export function checkGcsForm() {
+    const selection = {};
+    GCS_COMPONENTS.forEach(({ name }) => {
+        selection[name] = document.querySelector(`input[name="${name}"]:checked`)?.value || '';
+    });
+    const errors = validateGcs(selection);
+    renderFieldMessages(GCS_COMPONENTS.map(c => c.name), errors);
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Remove all vitals messages (when the form is cleared)
+ */
+export function clearVitalsValidation() {
+    renderFieldMessages(Object.keys(VITAL_LIMITS));
+    setFormError('vitals-form-error', '');
+}
+
+/**
+ * Remove all GCS messages (when the form is cleared)
+ */
+export function clearGcsValidation() {
+    renderFieldMessages(GCS_COMPONENTS.map(c => c.name));
+}
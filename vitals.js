@@ -4,8 +4,17 @@
  */
 
 // Import patient management
-import { patientInfo, currentPatientId, patients, saveToLocalStorage } from './patient.js';
-import { nowTimestamp, getValue, setValue } from './utils.js';
+import { patientInfo, currentPatientId, patients, saveToLocalStorage, getCurrentPatientRecord, registerPatientRecordHandler, parsePriorityValue } from './patient.js';
+import { assessVital, describeRanges, getAgeBand, VITAL_RANGES } from './ranges.js';
+import { calculateHaemodynamics } from './haemodynamics.js';
+import { renderTrendChart } from './trendchart.js';
+import { registerCorrectableLog, renderCorrectionControls, activeEntries } from './corrections.js';
+import { calculatePews, usesPews, getEarlyWarningScore, PEWS_BEHAVIOUR, PEWS_BREATHING } from './scores.js';
+import { renderTrendAlerts } from './trends.js';
+import { refreshTraumaTriage } from './mechanism.js';
+import { checkVitalsForm, clearVitalsValidation, validateVitalsEntry } from './validation.js';
+import { describeTreatment } from './treatments.js';
+import { nowTimestamp, getValue, setValue, q, readObservedTime, observedIso, observedTime, entryTimeLabel, sortByObserved } from './utils.js';
 
 // Global vitals data
 let vitalsLog = []; // newest first
@@ -15,108 +24,156 @@ let vitalsLog = []; // newest first
  */
 export function getVitalsLog() { return vitalsLog; }
 
+// Modal text per info icon; vitals with reference ranges list their VITAL_RANGES keys
+const VITAL_INFO = {
+    'bp': {
+        title: 'Blood Pressure',
+        description: 'Blood pressure is the force of blood pushing against the walls of the arteries as the heart pumps blood.',
+        ranges: ['bp-sys', 'bp-dia']
+    },
+    'pulse': {
+        title: 'Pulse',
+        description: 'Pulse is the rate at which the heart beats, measured in beats per minute (bpm).',
+        ranges: ['pulse']
+    },
+    'spo2': {
+        title: 'SPO₂ (Oxygen Saturation)',
+        description: 'SPO₂ measures the percentage of hemoglobin in the blood that is saturated with oxygen.',
+        ranges: ['spo2']
+    },
+    'rrate': {
+        title: 'Respiratory Rate',
+        description: 'The number of breaths taken per minute, counted over at least 30 seconds.',
+        ranges: ['rrate']
+    },
+    'hgt': {
+        title: 'Blood Glucose (HGT)',
+        description: 'Capillary blood glucose measured with a glucometer.',
+        ranges: ['hgt']
+    },
+    'temp': {
+        title: 'Temperature',
+        description: 'Core body temperature in degrees Celsius.',
+        ranges: ['temp']
+    },
+    'cap-refill': {
+        title: 'Capillary Refill',
+        description: 'Time for colour to return after pressing on the nail bed or sternum for 5 seconds.',
+        ranges: ['cap-refill']
+    },
+    'pain': {
+        title: 'Pain Score',
+        description: 'Patient-reported pain from 0 (no pain) to 10 (worst imaginable).',
+        ranges: ['pain']
+    }
+};
+
+// Colour of each NEWS2 risk band / PEWS escalation level
+const SCORE_CLASSES = {
+    low: 'vital-value-normal',
+    'low-medium': 'vital-value-abnormal',
+    medium: 'vital-value-abnormal',
+    high: 'vital-value-critical',
+    critical: 'vital-value-critical'
+};
+
 /**
- * Show detailed vital info modal
+ * GCS log of the current patient (consciousness for NEWS2)
  */
-export function showVitalInfo(vitalType) {
-    const modal = document.getElementById('vital-info-modal');
-    const title = document.getElementById('vital-info-title');
-    const content = document.getElementById('vital-info-content');
-    if (!modal || !title || !content) return; // Defensive guard in case DOM not present
+function currentGcsLog() {
+    const record = getCurrentPatientRecord();
+    return record && Array.isArray(record.gcs) ? record.gcs : [];
+}
 
-    // Define vital information (shortened for brevity — mirrors OldIndex.html ranges)
-    const vitalInfo = {
-        'bp': {
-            title: 'Blood Pressure',
-            description: 'Blood pressure is the force of blood pushing against the walls of the arteries as the heart pumps blood.',
-            ranges: `
-            <table class="vital-range-table">
-              <tr>
-                <th>Category</th>
-                <th>Systolic (mmHg)</th>
-                <th>Diastolic (mmHg)</th>
-              </tr>
-              <tr>
-                <td class="range-normal">Normal</td>
-                <td class="range-normal">101-159</td>
-                <td class="range-normal">71-99</td>
-              </tr>
-              <tr>
-                <td class="range-abnormal">Abnormal</td>
-                <td class="range-abnormal">90-100 or 160-200</td>
-                <td class="range-abnormal">60-70 or 100-120</td>
-              </tr>
-              <tr>
-                <td class="range-critical">Critical</td>
-                <td class="range-critical">&lt;90 or &gt;200</td>
-                <td class="range-critical">&lt;60 or &gt;120</td>
-              </tr>
-            </table>
-            `
-        },
-        'pulse': {
-            title: 'Pulse',
-            description: 'Pulse is the rate at which the heart beats, measured in beats per minute (bpm).',
-            ranges: `
-            <table class="vital-range-table">
-              <tr>
-                <th>Category</th>
-                <th>Range (bpm)</th>
-              </tr>
-              <tr>
-                <td class="range-normal">Normal</td>
-                <td class="range-normal">51-99</td>
-              </tr>
-              <tr>
-                <td class="range-abnormal">Abnormal</td>
-                <td class="range-abnormal">40-50 or 100-130</td>
-              </tr>
+/**
+ * Neuro assessments of the current patient (AVPU for NEWS2)
+ */
+function currentNeuroLog() {
+    const record = getCurrentPatientRecord();
+    return record && Array.isArray(record.neuro) ? record.neuro : [];
+}
+
+/**
+ * Treatments of the current patient as chart markers (voided entries are left out)
+ */
+function currentTreatmentMarkers() {
+    const record = getCurrentPatientRecord();
+    return activeEntries(record && record.treatments).map(entry => ({
+        iso: observedIso(entry),
+        time: observedTime(entry),
+        label: describeTreatment(entry)
+    }));
+}
+
+/**
+ * Coloured MAP / shock index / pulse pressure text for a vitals entry ('' when none can be derived)
+ */
+function renderHaemodynamics(item, age) {
+    const d = calculateHaemodynamics(item, age);
+    const parts = [];
+    if (d.map !== null) parts.push(`MAP: <span class="${getVitalClass(d.map, 'map', age)}">${d.map}</span> mmHg`);
+    if (d.shockIndex !== null) {
+        let s = `SI: <span class="${getVitalClass(d.shockIndex, 'shock-index', age)}">${d.shockIndex}</span>`;
+        if (d.ageShockIndex !== null) s += ` (Age SI <span class="${getVitalClass(d.ageShockIndex, 'age-shock-index', age)}">${d.ageShockIndex}</span>)`;
+        parts.push(s);
+    }
+    if (d.pulsePressure !== null) parts.push(`PP: <span class="${getVitalClass(d.pulsePressure, 'pulse-pressure', age)}">${d.pulsePressure}</span> mmHg`);
+    return parts.join(' • ');
+}
+
+/**
+ * Age of the current patient as entered (drives the reference ranges)
+ */
+function currentAge() {
+    return getValue('patient-age') || patientInfo.age;
+}
+
+/**
+ * Build the reference range table for the given vitals at the current patient's age
+ */
+function renderRangeTable(vitalTypes) {
+    const age = currentAge();
+    const bands = vitalTypes.map(type => describeRanges(type, age));
+    const headers = vitalTypes.map(type => `<th>${VITAL_RANGES[type].label} (${VITAL_RANGES[type].unit})</th>`).join('');
+    const row = level => `
               <tr>
-                <td class="range-critical">Critical</td>
-                <td class="range-critical">&lt;40 or &gt;130</td>
-              </tr>
-            </table>
-            `
-        },
-        'spo2': {
-            title: 'SPO₂ (Oxygen Saturation)',
-            description: 'SPO₂ measures the percentage of hemoglobin in the blood that is saturated with oxygen.',
-            ranges: `
+                <td class="range-${level}">${level[0].toUpperCase() + level.slice(1)}</td>
+                ${bands.map(b => `<td class="range-${level}">${(b[level] || '-').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</td>`).join('')}
+              </tr>`;
+
+    return `
+            <p class="meta">Ranges for: ${getAgeBand(age).label}</p>
             <table class="vital-range-table">
               <tr>
                 <th>Category</th>
-                <th>Range (%)</th>
-              </tr>
-              <tr>
-                <td class="range-normal">Normal</td>
-                <td class="range-normal">95-100</td>
-              </tr>
-              <tr>
-                <td class="range-abnormal">Abnormal</td>
-                <td class="range-abnormal">90-94</td>
-              </tr>
-              <tr>
-                <td class="range-critical">Critical</td>
-                <td class="range-critical">&lt;90</td>
-              </tr>
+                ${headers}
+              </tr>${row('normal')}${row('abnormal')}${row('critical')}
             </table>
-            `
-        }
-    };
+            `;
+}
 
-    const info = vitalInfo[vitalType] || { title: 'Vital', description: '', ranges: '' };
+/**
+ * Show detailed vital info modal
+ */
+export function showVitalInfo(vitalType) {
+    const modal = document.getElementById('vital-info-modal');
+    const title = document.getElementById('vital-info-title');
+    const content = document.getElementById('vital-info-content');
+    if (!modal || !title || !content) return; // Defensive guard in case DOM not present
+
+    const info = VITAL_INFO[vitalType] || { title: 'Vital', description: '' };
     title.textContent = info.title;
-    content.innerHTML = `<p>${info.description}</p>${info.ranges}`;
+    content.innerHTML = `<p>${info.description}</p>${info.ranges ? renderRangeTable(info.ranges) : ''}`;
     modal.style.display = 'block';
 }
 
 
 /**
- * Load vitals data from localStorage
+ * Load vitals data for the current patient (patients are persisted by patient.js)
  */
 export function loadFromLocalStorage() {
-    const savedVitals = localStorage.getItem('vitalsLog');
-    if (savedVitals) vitalsLog = JSON.parse(savedVitals);
+    const record = getCurrentPatientRecord();
+    vitalsLog = record && Array.isArray(record.vitals) ? [...record.vitals] : [];
 }
 
 /**
@@ -136,70 +193,57 @@ export function setVitalsLog(arr) {
     renderVitalsChart();
 }
 
+// Keep the vitals log in step with the selected patient
+registerPatientRecordHandler({
+    save: record => { record.vitals = [...vitalsLog]; },
+    load: record => setVitalsLog(record.vitals)
+});
+
 /**
- * Vitals assessment functions
+ * [value, label] pairs of a vitals form select, so coded fields are corrected with the same codes they were entered with
+ * @param {string} [blankLabel] - label for the empty option in place of the form's placeholder
  */
-function assessVital(value, vitalType) {
-    const num = parseFloat(value);
-    if (isNaN(num)) return 'normal';
-    
-    switch(vitalType) {
-        case 'bp-sys':
-            if (num < 90 || num > 200) return 'critical';
-            if (num >= 90 && num <= 100) return 'abnormal';
-            if (num >= 160 && num <= 200) return 'abnormal';
-            return 'normal';
-            
-        case 'bp-dia':
-            if (num < 60 || num > 120) return 'critical';
-            if (num >= 60 && num <= 70) return 'abnormal';
-            if (num >= 100 && num <= 120) return 'abnormal';
-            return 'normal';
-            
-        case 'pulse':
-            if (num < 40 || num > 130) return 'critical';
-            if (num >= 40 && num <= 50) return 'abnormal';
-            if (num >= 100 && num <= 130) return 'abnormal';
-            return 'normal';
-            
-        case 'spo2':
-            if (num < 90) return 'critical';
-            if (num >= 90 && num <= 94) return 'abnormal';
-            return 'normal';
-            
-        case 'rrate':
-            if (num < 8 || num > 30) return 'critical';
-            if (num >= 8 && num <= 12) return 'abnormal';
-            if (num >= 25 && num <= 30) return 'abnormal';
-            return 'normal';
-            
-        case 'hgt':
-            if (num < 2.5 || num > 20) return 'critical';
-            if (num >= 2.5 && num <= 4) return 'abnormal';
-            if (num >= 15 && num <= 20) return 'abnormal';
-            return 'normal';
-            
-        case 'temp':
-            if (num < 35 || num > 39) return 'critical';
-            if (num >= 35 && num <= 36) return 'abnormal';
-            if (num >= 38 && num <= 39) return 'abnormal';
-            return 'normal';
-            
-        case 'cap-refill':
-            if (num > 3) return 'critical';
-            if (num >= 2 && num <= 3) return 'abnormal';
-            return 'normal';
-            
-        case 'pain':
-            if (num >= 8) return 'critical';
-            if (num >= 5 && num <= 7) return 'abnormal';
-            return 'normal';
-            
-        default:
-            return 'normal';
-    }
+function formOptions(id, blankLabel) {
+    const select = q(id);
+    if (!select || !select.options) return [];
+    return Array.from(select.options).map(o => [o.value, o.value === '' && blankLabel ? blankLabel : o.text]);
 }
 
+// Vitals entries can be corrected or voided from the log
+registerCorrectableLog('vitals', {
+    label: 'vitals',
+    getLog: () => vitalsLog,
+    fields: [
+        { key: 'bpSys', label: 'BP Systolic (mmHg)' },
+        { key: 'bpDia', label: 'BP Diastolic (mmHg)' },
+        { key: 'pulse', label: 'Pulse (bpm)' },
+        { key: 'spo2', label: 'SPO₂ (%)' },
+        { key: 'o2Delivery', label: 'O₂ Delivery', options: () => formOptions('o2-delivery') },
+        { key: 'o2Flow', label: 'O₂ Flow (L/min)' },
+        { key: 'rrate', label: 'Resp Rate (/min)' },
+        { key: 'hgt', label: 'HGT (mmol/L)' },
+        { key: 'temp', label: 'Temperature (°C)' },
+        { key: 'capRefill', label: 'Cap Refill (s)' },
+        { key: 'pain', label: 'Pain (/10)' },
+        { key: 'ecg', label: 'ECG', options: () => formOptions('ecg', 'Not recorded') },
+        { key: 'painLocation', label: 'Pain Location' },
+        { key: 'skin', label: 'Skin', options: () => formOptions('skin', 'Not recorded') },
+        { key: 'behaviour', label: 'PEWS Behaviour', options: [['', 'Not assessed'], ...Object.entries(PEWS_BEHAVIOUR)] },
+        { key: 'workOfBreathing', label: 'PEWS Work of Breathing', options: [['', 'Not assessed'], ...Object.entries(PEWS_BREATHING)] }
+    ],
+    validate: validateVitalsEntry,
+    afterEdit: entry => {
+        if (entry.pews) entry.pews = calculatePews(entry, patientInfo.age);
+    },
+    save: () => {
+        persistVitals();
+        renderVitalsLog();
+        renderVitalsChart();
+        renderTrendAlerts();
+        refreshTraumaTriage();
+    }
+});
+
 /**
  * Update vital indicator styling
  */
@@ -209,7 +253,7 @@ export function updateVitalIndicator(input, vitalType) {
     if (input.classList) input.classList.remove('vital-normal', 'vital-abnormal', 'vital-critical');
     
     const val = input.value || '';
-    const assessment = assessVital(val, vitalType);
+    const assessment = assessVital(val, vitalType, currentAge());
     if (val !== '') {
         if (input.classList) input.classList.add(`vital-${assessment}`);
     }
@@ -217,9 +261,10 @@ export function updateVitalIndicator(input, vitalType) {
 
 /**
  * Get vital class for display
+ * @param {string} [age] - patient age; the current patient's when omitted
  */
-export function getVitalClass(value, vitalType) {
-    const assessment = assessVital(value, vitalType);
+export function getVitalClass(value, vitalType, age = currentAge()) {
+    const assessment = assessVital(value, vitalType, age);
     return `vital-value-${assessment}`;
 }
 
@@ -227,6 +272,9 @@ export function getVitalClass(value, vitalType) {
  * Submit vitals
  */
 export function submitVitals() {
+    // Impossible values are shown inline and block the entry; extreme ones need confirming
+    if (!checkVitalsForm()) return;
+
     // pull patient info (keep patientInfo up to date)
     patientInfo.responderId = getValue('responder-id');
     patientInfo.incident = getValue('incident-type');
@@ -237,12 +285,12 @@ export function submitVitals() {
     patientInfo.history = getValue('history');
     patientInfo.lastIntake = getValue('last-intake');
     patientInfo.signsSymptoms = getValue('signs-symptoms');
-    patientInfo.priority = getValue('patient-priority');
-    patientInfo.pupilsReactive = getValue('pupils-reactive', false);
+    patientInfo.priority = parsePriorityValue(getValue('patient-priority')).priority;
 
     const item = {
         time: nowTimestamp(),
         iso: new Date().toISOString(),
+        ...readObservedTime('vitals-observed'),
         bpSys: getValue('bp-sys'),
         bpDia: getValue('bp-dia'),
         pulse: getValue('pulse'),
@@ -253,22 +301,27 @@ export function submitVitals() {
         hgt: getValue('hgt'),
         temp: getValue('temp'),
         capRefill: getValue('cap-refill'),
-        pupilLeft: getValue('pupil-left'),
-        pupilRight: getValue('pupil-right'),
         pain: getValue('pain'),
         ecg: getValue('ecg'),
         painLocation: getValue('pain-location'),
         skin: getValue('skin'),
-        pupilsReactive: getValue('pupils-reactive', false)
+        behaviour: getValue('pews-behaviour'),
+        workOfBreathing: getValue('pews-breathing')
     };
+    // Children get a PEWS recorded with the entry (shown instead of NEWS2)
+    if (usesPews(patientInfo.age)) item.pews = calculatePews(item, patientInfo.age);
 
-    // Prepend newest
+    // Prepend newest, then keep the log in observed-time order (backdated entries slot in)
     vitalsLog.unshift(item);
+    sortByObserved(vitalsLog);
     // Keep only reasonable history length
     if (vitalsLog.length > 200) vitalsLog.length = 200;
 
     persistVitals();
     renderVitalsLog();
+    renderVitalsChart();
+    renderTrendAlerts();
+    refreshTraumaTriage();
     clearVitalsInputs();
 }
 
@@ -278,8 +331,8 @@ export function submitVitals() {
 export function clearVitalsInputs() {
     const fields = [
         'bp-sys', 'bp-dia', 'pulse', 'spo2', 'o2-delivery', 'o2-flow', 
-        'rrate', 'hgt', 'temp', 'cap-refill', 'pupil-left', 'pupil-right', 
-        'pain', 'ecg', 'pain-location', 'skin'
+        'rrate', 'hgt', 'temp', 'cap-refill', 
+        'pain', 'ecg', 'pain-location', 'skin', 'pews-behaviour', 'pews-breathing', 'vitals-observed'
     ];
     
     fields.forEach(id => {
@@ -289,6 +342,7 @@ export function clearVitalsInputs() {
         // Remove color classes
         if (el.classList) el.classList.remove('vital-normal', 'vital-abnormal', 'vital-critical');
     });
+    clearVitalsValidation();
 }
 
 /**
@@ -303,8 +357,13 @@ export function renderVitalsLog() {
         return;
     }
     
-    vitalsLog.forEach(item => {
+    const gcsLog = currentGcsLog();
+    const neuroLog = currentNeuroLog();
+    const age = currentAge();
+    vitalsLog.forEach((item, index) => {
         const lines = [];
+        const score = getEarlyWarningScore(item, gcsLog, neuroLog);
+        if (score) lines.push(`<span class="${SCORE_CLASSES[score.level]}">${score.text}</span>`);
         if (item.bpSys && item.bpDia) {
             const sysClass = getVitalClass(item.bpSys, 'bp-sys');
             const diaClass = getVitalClass(item.bpDia, 'bp-dia');
@@ -314,6 +373,8 @@ export function renderVitalsLog() {
             const pulseClass = getVitalClass(item.pulse, 'pulse');
             lines.push(`Pulse: <span class="${pulseClass}">${item.pulse}</span> bpm`);
         }
+        const haemodynamics = renderHaemodynamics(item, age);
+        if (haemodynamics) lines.push(haemodynamics);
         if (item.spo2) {
             const spo2Class = getVitalClass(item.spo2, 'spo2');
             let s = `SPO₂: <span class="${spo2Class}">${item.spo2}</span>%`;
@@ -336,6 +397,7 @@ export function renderVitalsLog() {
             const capClass = getVitalClass(item.capRefill, 'cap-refill');
             lines.push(`Cap Refill: <span class="${capClass}">${item.capRefill}</span> s`);
         }
+        // Pupils are recorded in the neuro assessment; older vitals entries may still carry them
         if (item.pupilLeft || item.pupilRight) {
             const pupilText = `Pupils: L${item.pupilLeft || ''} R${item.pupilRight || ''}`;
             if (item.pupilsReactive) {
@@ -351,48 +413,32 @@ export function renderVitalsLog() {
         if (item.ecg) lines.push(`ECG: ${item.ecg}`);
         if (item.painLocation) lines.push(`Pain Location: ${item.painLocation}`);
         if (item.skin) lines.push(`Skin: ${item.skin}`);
+        if (item.behaviour) lines.push(`Behaviour: ${PEWS_BEHAVIOUR[item.behaviour]}`);
+        if (item.workOfBreathing) lines.push(`Work of Breathing: ${PEWS_BREATHING[item.workOfBreathing]}`);
 
         const div = document.createElement('div');
-        div.className = 'log-item';
-        div.innerHTML = `<div><strong>${item.time}</strong> — ${lines.join(' • ')}</div>`;
+        div.className = item.voided ? 'log-item voided' : 'log-item';
+        div.innerHTML = `<div class="entry-content"><strong>${entryTimeLabel(item)}</strong> — ${lines.join(' • ')}</div>${renderCorrectionControls('vitals', index, item)}`;
         el.appendChild(div);
     });
 }
 
 /**
- * Render vitals chart
+ * Render the vitals trend chart (MAP, shock index and the early warning score are series of the chart)
  */
 export function renderVitalsChart() {
     const container = document.getElementById('vitals-chart-container');
     if (!container) return; // Defensive guard
     container.innerHTML = '';
-    
-    if (vitalsLog.length < 2) return;
-    
-    // Create BP trend chart
-    const chartContainer = document.createElement('div');
-    chartContainer.className = 'vitals-chart';
-    
-    const chartTitle = document.createElement('div');
-    chartTitle.className = 'chart-title';
-    chartTitle.textContent = 'BP Trend (Systolic)';
-    container.appendChild(chartTitle);
-    
-    const bps = vitalsLog.map(v => parseInt(v.bpSys)).filter(n => !isNaN(n));
-    const maxBP = bps.length > 0 ? Math.max(...bps) : 0;
-    const minBP = bps.length > 0 ? Math.min(...bps) : 0;
-    
-    // Show last 5 readings
-    vitalsLog.slice(0, 5).reverse().forEach((v, i) => {
-        const height = maxBP > minBP ? 
-            `${((parseInt(v.bpSys) - minBP) / (maxBP - minBP)) * 100}%` : '50%';
-        
-        const bar = document.createElement('div');
-        bar.className = 'chart-bar';
-        bar.style.height = height;
-        bar.title = `${v.time}: ${v.bpSys}/${v.bpDia}`;
-        chartContainer.appendChild(bar);
-    });
-    
-    container.appendChild(chartContainer);
+
+    // Voided entries are left out of every trend
+    const vitals = activeEntries(vitalsLog);
+    const gcsLog = activeEntries(currentGcsLog());
+    const age = currentAge();
+
+    // Multi-parameter chart of vitals and GCS on a real time axis
+    const chart = document.createElement('div');
+    container.appendChild(chart);
+    // The whole GCS log is passed: NEWS2 consciousness uses untested components too
+    renderTrendChart(chart, vitals, gcsLog, age, currentTreatmentMarkers(), activeEntries(currentNeuroLog()));
 }